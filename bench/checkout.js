@@ -0,0 +1,120 @@
+'use strict';
+
+/* Compares the cost of checking resources in and out with the pool's idle resource list as a plain array
+ * (indexOf and splice, as before) and as a LinkedSet, then times a pool checking out all of its resources and
+ * taking them back in random order. Run it on two revisions to compare the pool as a whole:
+ *
+ *     node bench/checkout.js [size...]
+ */
+
+var Pool = require('..'),
+    LinkedSet = require('../lib/linked-set');
+
+var SIZES = process.argv.length > 2 ? process.argv.slice(2).map(Number) : [ 1000, 10000, 30000 ];
+
+function shuffled(items) {
+    var copy = items.slice(), i, j, tmp;
+    for (i = copy.length - 1; i > 0; i--) {
+        j = Math.floor(Math.random() * (i + 1));
+        tmp = copy[i]; copy[i] = copy[j]; copy[j] = tmp;
+    }
+    return copy;
+}
+
+function elapsed(start) {
+    var diff = process.hrtime(start);
+    return diff[0] * 1e3 + diff[1] / 1e6;
+}
+function ms(time) {
+    return time.toFixed(1) + 'ms';
+}
+
+// each list is timed over a few rounds, and the best taken, so that the first rounds warming up the JIT don't count
+var ROUNDS = 5;
+
+// check every item out, from the front as the pool does, then back in in random order
+var lists = {
+    array: function (items) {
+        var available = items.slice(), out = [ ];
+        while (available.length) { out.push(available.shift()); }
+        shuffled(out).forEach(function (item) {
+            if (available.indexOf(item) > -1) { throw new Error('already released'); }
+            available.unshift(item);
+        });
+        shuffled(items).forEach(function (item) {
+            var idx = available.indexOf(item);
+            if (idx > -1) { available.splice(idx, 1); }
+        });
+    },
+    LinkedSet: function (items) {
+        var available = new LinkedSet(), out = [ ];
+        items.forEach(available.push, available);
+        while (available.length) { out.push(available.shift()); }
+        shuffled(out).forEach(function (item) {
+            if (available.has(item)) { throw new Error('already released'); }
+            available.unshift(item);
+        });
+        shuffled(items).forEach(function (item) { available.remove(item); });
+    }
+};
+
+function benchLists(size) {
+    var items = [ ], i;
+    for (i = 0; i < size; i++) { items.push({ id: i }); }
+
+    Object.keys(lists).forEach(function (name) {
+        var best = Infinity, start, r;
+        for (r = 0; r < ROUNDS; r++) {
+            start = process.hrtime();
+            lists[name](items);
+            best = Math.min(best, elapsed(start));
+        }
+        console.log('  %s: %s', name, ms(best));
+    });
+}
+
+function benchPool(size, cb) {
+    var seq = 0,
+        pool = new Pool({
+            acquire: function (cb) { cb(null, { id: seq++ }); },
+            dispose: function (res, cb) { cb(); },
+            max: size,
+            maxRequests: Infinity,
+            pingIdleThreshold: 60 * 1000,
+            leakDetectionThreshold: 0,
+            syncInterval: 0
+        });
+
+    // the first round allocates the resources; time the second
+    function round(done) {
+        var resources = [ ], pending = size, i;
+        var start = process.hrtime();
+        function acquired(err, res) {
+            if (err) { throw err; }
+            resources.push(res);
+            if (--pending) { return; }
+
+            shuffled(resources).forEach(function (res) { pool.release(res); });
+            done(start);
+        }
+        for (i = 0; i < size; i++) { pool.acquire(acquired); }
+    }
+
+    round(function () {
+        setImmediate(round, function (start) {
+            console.log('  pool: %s', ms(elapsed(start)));
+            pool.end(cb);
+        });
+    });
+}
+
+(function next(i) {
+    if (i === SIZES.length) { return; }
+
+    console.log('%d resources:', SIZES[i]);
+    benchLists(SIZES[i]);
+    benchPool(SIZES[i], function (err) {
+        if (err) { throw err; }
+        next(i + 1);
+    });
+})(0);
@@ -1,7 +1,9 @@
 'use strict';
 
 var Pool = require('./lib/pool'),
-    Cluster = require('./lib/cluster');
+    Cluster = require('./lib/cluster'),
+    KeyedPool = require('./lib/keyed-pool');
 
 Pool.Cluster = Cluster;
+Pool.KeyedPool = KeyedPool;
 module.exports = Pool;
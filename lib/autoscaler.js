@@ -0,0 +1,51 @@
+'use strict';
+
+/* Adjusts how many resources a pool may hold -- its target -- between its min and max, by additive increase and
+ * multiplicative decrease. When acquiring new resources fails, or takes longer than `acquireLatencyThreshold` ms
+ * on average, the target is cut by `decreaseFactor`: whatever is behind the pool is struggling, and more
+ * connections won't help. Otherwise, while requests are queued or have waited longer than `queueWaitThreshold`
+ * ms on average, it grows by `increase`. Each update looks at what happened since the previous one
+ */
+function Autoscaler(opts) {
+    this.increase = opts.increase;
+    this.decreaseFactor = opts.decreaseFactor;
+    this.queueWaitThreshold = opts.queueWaitThreshold;
+    this.acquireLatencyThreshold = opts.acquireLatencyThreshold;
+
+    // the metrics seen by the previous update
+    this.last = null;
+}
+
+Autoscaler.defaults = {
+    increase: 1,
+    decreaseFactor: 0.5,
+    queueWaitThreshold: 100,
+    acquireLatencyThreshold: 1000
+};
+
+// average of a histogram's observations since the last update, in milliseconds; null if there were none
+function recentAverage(current, last) {
+    var count = current.count - (last ? last.count : 0),
+        sum = current.sum - (last ? last.sum : 0);
+    return count > 0 ? sum / count * 1000 : null;
+}
+
+// given a snapshot of the pool's metrics, return its new target
+Autoscaler.prototype.update = function (metrics, target, min, max) { // jshint maxcomplexity: 8
+    var last = this.last;
+    this.last = metrics;
+
+    var failures = metrics.acquireFailures - (last ? last.acquireFailures : 0),
+        latency = recentAverage(metrics.acquireLatency, last && last.acquireLatency),
+        wait = recentAverage(metrics.queueWait, last && last.queueWait);
+
+    if (failures > 0 || latency > this.acquireLatencyThreshold) {
+        return Math.max(min, 1, Math.floor(target * this.decreaseFactor));
+    }
+    if (metrics.queued > 0 || wait > this.queueWaitThreshold) {
+        return Math.min(max, target + this.increase);
+    }
+    return target;
+};
+
+module.exports = Autoscaler;
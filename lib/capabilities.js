@@ -0,0 +1,133 @@
+'use strict';
+
+var inspect = require('util').inspect;
+
+/* Capability expressions, for choosing which pools in a cluster may serve a request:
+ *
+ *   'read'                                 pools with the capability
+ *   ['read', 'eu-west']                    pools with all of them; short for { allOf: [...] }
+ *   { anyOf: ['eu-west', 'eu-central'] }   pools with any of them
+ *   { firstOf: ['replica', 'primary'] }    pools matching the first, falling back to those matching the next
+ *
+ * Expressions nest. An expression is parsed into a tree of { op, name } (for a capability) and { op, args }
+ * nodes, and resolved against the cluster's map of capability -> pools into tiers: arrays of pools, in order of
+ * preference
+ */
+
+var OPERATORS = [ 'allOf', 'anyOf', 'firstOf' ];
+
+// the pools with a capability; caps may have a capability named e.g. 'hasOwnProperty'
+function poolsWith(caps, name) {
+    return Object.prototype.hasOwnProperty.call(caps, name) ? caps[name] : [ ];
+}
+
+// the operator of an expression object, e.g. 'anyOf' for { anyOf: [...] }; null if it isn't one
+function operator(expr) {
+    if (expr === null || typeof expr !== 'object') { return null; }
+
+    var keys = Object.keys(expr);
+    return keys.length === 1 && OPERATORS.indexOf(keys[0]) > -1 ? keys[0] : null;
+}
+
+// throws if expr isn't a valid expression
+function parse(expr) { // jshint maxcomplexity: 8
+    if (typeof expr === 'string') { return { op: 'cap', name: expr }; }
+
+    var op = Array.isArray(expr) ? 'allOf' : operator(expr),
+        args = Array.isArray(expr) ? expr : op && expr[op];
+
+    if (op === null) {
+        throw new Error('Invalid capability expression: ' + inspect(expr));
+    }
+    if (!Array.isArray(args)) {
+        throw new Error('Invalid capability expression: ' + op + ' must be given an array');
+    }
+    if (args.length === 0) {
+        throw new Error('Invalid capability expression: ' + op + ' must be given at least one capability');
+    }
+    return { op: op, args: args.map(parse) };
+}
+
+function union(a, b) {
+    return a.concat(b.filter(function (pool) { return a.indexOf(pool) === -1; }));
+}
+function intersection(a, b) {
+    return a.filter(function (pool) { return b.indexOf(pool) > -1; });
+}
+
+// how each kind of node combines the tiers of its arguments
+var combine = {
+    // every pairing of a tier of one with a tier of the other, preferring the tiers of the first
+    allOf: function (a, b) {
+        var tiers = [ ];
+        a.forEach(function (x) {
+            b.forEach(function (y) { tiers.push(intersection(x, y)); });
+        });
+        return tiers;
+    },
+    // tier by tier, so that preferences nested in each argument are kept
+    anyOf: function (a, b) {
+        var tiers = [ ];
+        for (var i = 0; i < Math.max(a.length, b.length); i++) {
+            tiers.push(union(a[i] || [ ], b[i] || [ ]));
+        }
+        return tiers;
+    },
+    firstOf: function (a, b) {
+        return a.concat(b);
+    }
+};
+
+function tiers(tree, caps) {
+    if (tree.op === 'cap') {
+        return [ poolsWith(caps, tree.name) ];
+    }
+    return tree.args.map(function (arg) { return tiers(arg, caps); }).reduce(combine[tree.op]);
+}
+
+// the pools that can serve a request for the parsed expression, as an array of tiers in order of preference.
+// each pool is only in the first tier it qualifies for, and empty tiers are left out, so an expression that no
+// pool satisfies resolves to [ ]
+function resolve(tree, caps) {
+    var seen = [ ];
+    return tiers(tree, caps).map(function (tier) {
+        tier = tier.filter(function (pool) { return seen.indexOf(pool) === -1; });
+        seen = seen.concat(tier);
+        return tier;
+    }).filter(function (tier) { return tier.length > 0; });
+}
+
+var JOINS = { allOf: ' and ', anyOf: ' or ', firstOf: ', else ' };
+
+// a parsed expression, as text: e.g. 'read and (eu-west or eu-central)'
+function describe(tree, nested) {
+    if (tree.op === 'cap') { return tree.name; }
+
+    var text = tree.args.map(function (arg) { return describe(arg, true); }).join(JOINS[tree.op]);
+    return nested && tree.args.length > 1 ? '(' + text + ')' : text;
+}
+
+// the capabilities in a parsed expression that no pool has
+function missing(tree, caps) {
+    if (tree.op === 'cap') {
+        return poolsWith(caps, tree.name).length ? [ ] : [ tree.name ];
+    }
+    return tree.args.reduce(function (names, arg) {
+        return union(names, missing(arg, caps));
+    }, [ ]);
+}
+
+// why no pool satisfies a parsed expression
+function explain(tree, caps) {
+    if (tree.op === 'cap') { return tree.name; }
+
+    var names = missing(tree, caps);
+    return describe(tree) + (names.length ?
+        ' (no pools have: ' + names.join(', ') + ')' :
+        ' (no pool has the capabilities in combination)');
+}
+
+exports.parse = parse;
+exports.resolve = resolve;
+exports.describe = describe;
+exports.explain = explain;
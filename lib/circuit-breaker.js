@@ -0,0 +1,79 @@
+'use strict';
+
+var inherits = require('util').inherits,
+    EventEmitter = require('events').EventEmitter,
+    debug = require('debug')('pool2');
+
+/* Tracks the health of one pool in a cluster. The breaker starts closed; after `failureThreshold`
+ * consecutive failures it opens, and the cluster stops routing requests to the pool. Once `resetTimeout` ms
+ * have passed, it is half-open: a single request at a time is let through as a probe. A success closes the
+ * breaker again; a failure re-opens it. Emits 'open' when it opens from closed, and 'close' when it closes
+ */
+function CircuitBreaker(opts) {
+    EventEmitter.call(this);
+
+    this.failureThreshold = opts.failureThreshold;
+    this.resetTimeout = opts.resetTimeout;
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.probing = false;
+}
+inherits(CircuitBreaker, EventEmitter);
+
+// whether a request may be routed to the pool
+CircuitBreaker.prototype.isAvailable = function () {
+    if (this.state === 'open' && (new Date()) - this.openedAt >= this.resetTimeout) {
+        debug('Circuit breaker half-open');
+        this.state = 'half-open';
+    }
+    if (this.state === 'half-open') { return !this.probing; }
+    return this.state === 'closed';
+};
+
+// a request is being routed to the pool; returns true if it is a probe, in which case its outcome must be
+// reported with success() or failure()
+CircuitBreaker.prototype.dispatch = function () {
+    if (this.state !== 'half-open') { return false; }
+    this.probing = true;
+    return true;
+};
+
+CircuitBreaker.prototype.success = function () {
+    var wasClosed = this.state === 'closed';
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.probing = false;
+
+    if (!wasClosed) {
+        debug('Circuit breaker closed');
+        this.emit('close');
+    }
+};
+
+CircuitBreaker.prototype.failure = function () {
+    this.probing = false;
+
+    if (this.state === 'closed') {
+        this.failures++;
+        if (this.failures < this.failureThreshold) { return; }
+
+        debug('Circuit breaker opened after %d consecutive failures', this.failures);
+        this.state = 'open';
+        this.openedAt = new Date();
+        this.emit('open');
+        return;
+    }
+
+    // failures while open are expected, and don't postpone the next probe
+    if (this.state === 'open') { return; }
+
+    debug('Circuit breaker probe failed, re-opening');
+    this.state = 'open';
+    this.openedAt = new Date();
+};
+
+module.exports = CircuitBreaker;
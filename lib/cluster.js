@@ -1,29 +1,93 @@
 'use strict';
 
 var HashMap = require('hashmap'),
-    Pool = require('./pool');
-    
+    Pool = require('./pool'),
+    Metrics = require('./metrics'),
+    CircuitBreaker = require('./circuit-breaker'),
+    strategies = require('./strategies'),
+    capabilities = require('./capabilities'),
+    Lease = require('./lease').Lease;
+
+var promised = Pool._promised,
+    invoke = Pool._invoke,
+    validNum = Pool._validNum,
+    errorMatches = Pool._errorMatches;
+
 var inherits = require('util').inherits,
     EventEmitter = require('events').EventEmitter;
 
-function Cluster(pools) {
+// the keys of an options object given to acquire in place of a capability
+var ACQUIRE_OPTIONS = [ 'capability', 'priority', 'signal' ];
+
+// true if cap is an options object rather than a capability expression. anything else that is an object must be
+// an expression, so that a mistyped one, e.g. { anyof: [...] }, is rejected rather than served by any pool
+function isOptions(cap) {
+    return cap !== null && typeof cap === 'object' && !Array.isArray(cap) &&
+        Object.keys(cap).every(function (k) { return ACQUIRE_OPTIONS.indexOf(k) > -1; });
+}
+
+// a strategy is either the name of a built-in strategy or a custom selector function
+function selector(strategy) {
+    if (typeof strategy === 'function') { return strategy; }
+    if (strategies.hasOwnProperty(strategy)) { return strategies[strategy](); }
+    throw new Error('new Cluster(): Unknown strategy: ' + strategy);
+}
+
+// circuit breaker settings, filled in from the defaults; null if circuit breakers are turned off
+function breakerOptions(opts, defaults) {
+    if (opts === false) { return null; }
+    if (opts === void 0 || opts === true) { opts = { }; }
+    if (typeof opts !== 'object' || opts === null) {
+        throw new Error('new Cluster(): opts.circuitBreaker must be a boolean or an object');
+    }
+
+    return {
+        failureThreshold: validNum(opts, 'failureThreshold', defaults.failureThreshold),
+        resetTimeout: validNum(opts, 'resetTimeout', defaults.resetTimeout, true)
+    };
+}
+
+function Cluster(pools, opts) { // jshint maxstatements: 20, maxcomplexity: 8
     EventEmitter.call(this);
     
     if (!pools) { pools = [ ]; }
     else if (!Array.isArray(pools)) { pools = [ pools ]; }
+
+    opts = opts || { };
+
+    this.select = selector(opts.strategy || Cluster.defaults.strategy);
+    this.breakerOpts = breakerOptions(opts.circuitBreaker, Cluster.defaults.circuitBreaker);
+
+    if (opts.hasOwnProperty('retryOn') && typeof opts.retryOn !== 'function') {
+        throw new Error('new Cluster(): opts.retryOn must be a function');
+    }
+    this.maxAttempts = validNum(opts, 'maxAttempts', Cluster.defaults.maxAttempts);
+    this.retryOn = opts.retryOn || Cluster.defaults.retryOn;
     
     this.pools = [ ];
     this.caps = { };
     this.removeListeners = new HashMap();
     this.sources = new HashMap();
+    this.breakers = new HashMap();
 
     this.ended = false;
+    this.isReady = false;
     
     pools.forEach(this.addPool, this);
 }
 inherits(Cluster, EventEmitter);
 
-Cluster.prototype.addPool = function (pool) {
+Cluster.defaults = {
+    strategy: 'most-available',
+    maxAttempts: 1,
+    retryOn: function () { return true; },
+    circuitBreaker: {
+        failureThreshold: 5,
+        resetTimeout: 10 * 1000
+    }
+};
+
+Cluster.prototype.addPool = function (pool) { // jshint maxcomplexity: 7
     if (this.ended) {
         throw new Error('Cluster.addPool(): Cluster is ended');
     }
@@ -33,10 +97,17 @@ Cluster.prototype.addPool = function (pool) {
     if (this.pools.indexOf(pool) > -1) {
         throw new Error('Cluster.addPool(): Pool already in cluster');
     }
+    // metrics are keyed by name, so one pool's would hide the other's
+    if (pool.name !== null && this.pools.some(function (p) { return p.name === pool.name; })) {
+        throw new Error('Cluster.addPool(): A pool named ' + pool.name + ' is already in the cluster');
+    }
     
     this.pools.push(pool);
     this._bindListeners(pool);
     this._addCapabilities(pool);
+
+    // a pool that was already ready won't say so again
+    if (pool.isReady) { process.nextTick(this._checkReady.bind(this)); }
 };
 Cluster.prototype.removePool = function (pool) {
     if (!(pool instanceof Pool)) {
@@ -51,66 +122,235 @@ Cluster.prototype.removePool = function (pool) {
     this._unbindListeners(pool);
     this._removeCapabilities(pool);
 };
-Cluster.prototype.acquire = function (cap, cb) { // jshint maxstatements: 20, maxcomplexity: 8
+Cluster.prototype.acquire = function (cap, cb) { // jshint maxcomplexity: 10, maxstatements: 19
     if (typeof cap === 'function') {
         cb = cap;
         cap = void 0;
     }
     if (typeof cb !== 'function') {
-        this.emit('error', new Error('Cluster.acquire(): Callback is required'));
-        return;
+        return promised(this.acquire.bind(this, cap));
     }
     if (this.ended) {
         cb(new Error('Cluster.acquire(): Cluster is ended'));
         return;
     }
-    
-    var sources = this.pools;
-    if (cap) {
-        if (!this.caps[cap] || !this.caps[cap].length) {
-            cb(new Error('Cluster.acquire(): No pools can fulfil capability: ' + cap));
-            return;
-        }
-        sources = this.caps[cap];
+
+    // in place of a capability, an options object may be given; it is passed along to pool.acquire
+    var opts = { };
+    if (isOptions(cap)) {
+        opts = cap;
+        cap = opts.capability;
     }
     
-    var pool = sources.filter(function (pool) {
-        var stats = pool.stats();
-        return stats.queued < stats.maxRequests;
-    }).sort(function (a, b) {
-        var statsA = a.stats(),
-            statsB = b.stats();
-
-        return (statsB.available - statsB.queued) - (statsA.available - statsA.queued);
-    })[0];
+    var tiers;
+    try {
+        tiers = this._tiers(cap);
+    } catch (e) {
+        cb(e);
+        return;
+    }
     
+    this._attempt(tiers, opts, [ ], cb);
+};
+// the pools that may serve a request for a capability expression, in tiers: the pools of a tier are only used
+// when none of those in the tiers before it can be. throws if the expression is invalid, or no pool satisfies it
+Cluster.prototype._tiers = function (cap) {
+    if (!cap) { return [ this.pools ]; }
+
+    var expr;
+    try {
+        expr = capabilities.parse(cap);
+    } catch (e) {
+        throw new Error('Cluster.acquire(): ' + e.message);
+    }
+
+    var tiers = capabilities.resolve(expr, this.caps);
+    if (!tiers.length) {
+        throw new Error('Cluster.acquire(): No pools can fulfil capability: ' + capabilities.explain(expr, this.caps));
+    }
+    return tiers;
+};
+// acquire a resource from one of `sources` that hasn't been tried yet. if that fails with a retryable error, fail
+// over to another, until maxAttempts pools have been tried. `attempts` records each failure as { pool, error }
+Cluster.prototype._attempt = function (tiers, opts, attempts, cb) {
+    var tried = attempts.map(function (attempt) { return attempt.pool; }),
+        pool = null;
+
+    // the first tier with a pool that hasn't been tried yet and can serve the request
+    tiers.some(function (tier) {
+        pool = this._select(tier.filter(function (pool) {
+            return tried.indexOf(pool) === -1;
+        }));
+        return pool !== null;
+    }, this);
+
     if (!pool) {
-        cb(new Error('Cluster.acquire(): No pools available'));
+        cb(attempts.length ? this._failoverError(attempts) : new Error('Cluster.acquire(): No pools available'));
         return;
     }
     
-    pool.acquire(function (err, res) {
+    var breaker = this.breakers.get(pool),
+        probe = breaker ? breaker.dispatch() : false;
+
+    pool.acquire(opts, function (err, res) { // jshint maxcomplexity: 10
+        if (probe) {
+            if (err) { breaker.failure(); }
+            else { breaker.success(); }
+        }
+        if (!err) {
+            // leases know their pool; they are mostly given back with lease.release(), which the cluster never
+            // sees, so recording them would only leak
+            if (!(res instanceof Lease)) { this.sources.set(res, pool); }
+            process.nextTick(cb.bind(null, null, res));
+            return;
+        }
+
+        attempts.push({ pool: pool, error: err });
+
+        // an aborted request has nothing to fail over for
+        var aborted = opts.signal && opts.signal.aborted;
+        if (!aborted && attempts.length < this.maxAttempts && errorMatches(err, this.retryOn)) {
+            this._attempt(tiers, opts, attempts, cb);
+            return;
+        }
+        // a request that was never failed over gets its error as-is
+        cb(attempts.length > 1 ? this._failoverError(attempts) : err);
+    }.bind(this));
+};
+// choose among `pools` with the configured strategy; returns null if none of them can serve a request
+Cluster.prototype._select = function (pools) {
+    var candidates = pools.filter(function (pool) {
+        // pools whose circuit breaker has tripped are left out until it lets a probe through
+        var breaker = this.breakers.get(pool);
+        return !breaker || breaker.isAvailable();
+    }, this).map(function (pool) {
+        return { pool: pool, stats: pool.stats() };
+    }).filter(function (candidate) {
+        return !candidate.stats.paused && candidate.stats.queued < candidate.stats.maxRequests;
+    });
+
+    return candidates.length ? this.select(candidates) : null;
+};
+// the error given when every attempt to acquire a resource failed, listing what went wrong with each pool
+Cluster.prototype._failoverError = function (attempts) {
+    var err = this._poolsError('Cluster.acquire(): All attempts failed', attempts);
+    err.attempts = attempts;
+    return err;
+};
+// an error listing what went wrong with each pool, given as an array of { pool, error }
+Cluster.prototype._poolsError = function (message, failures) {
+    var summary = failures.map(function (failure) {
+        return this._label(failure.pool) + ': ' + failure.error.message;
+    }, this).join('; ');
+
+    return new Error(message + ' (' + summary + ')');
+};
+Cluster.prototype.use = function (cap, fn, cb) {
+    if (typeof cap === 'function') {
+        cb = fn;
+        fn = cap;
+        cap = void 0;
+    }
+    if (typeof cb !== 'function') {
+        return promised(this.use.bind(this, cap, fn));
+    }
+    if (typeof fn !== 'function') {
+        cb(new Error('Cluster.use(): fn must be a function'));
+        return;
+    }
+
+    this.acquire(cap, function (err, res) {
         if (err) { cb(err); return; }
-        this.sources.set(res, pool);
-        process.nextTick(cb.bind(null, null, res));
+
+        invoke(fn, res, function (err, result) {
+            this._takeSource(res)._return(res, err);
+            cb(err, result);
+        }.bind(this));
     }.bind(this));
 };
-Cluster.prototype.release = function (res) {
-    if (!this.sources.has(res)) {
+Cluster.prototype.release = function (res, cb) {
+    if (typeof cb !== 'function') {
+        // without a callback, errors are emitted as well
+        return promised(function (done) {
+            this.release(res, function (err) {
+                if (err) { this.emit('error', err); }
+                done(err);
+            }.bind(this));
+        }.bind(this), true);
+    }
+    var pool = this._takeSource(res);
+    if (!pool) {
         var err = new Error('Cluster.release(): Unknown resource');
         err.res = res;
-        this.emit('error', err);
+        cb(err);
         return;
     }
+    pool.release(res, cb);
+};
+// the pool that a resource handed out by the cluster came from, forgetting the record of it; undefined if it
+// didn't come from the cluster
+Cluster.prototype._takeSource = function (res) {
+    if (res instanceof Lease) {
+        return this.pools.indexOf(res.pool) > -1 ? res.pool : void 0;
+    }
+
     var pool = this.sources.get(res);
     this.sources.remove(res);
-    pool.release(res);
+    return pool;
+};
+// call back once all the pools in the cluster are ready, or { quorum: n } of them
+Cluster.prototype.ready = function (opts, cb) { // jshint maxstatements: 20
+    if (typeof opts === 'function') {
+        cb = opts;
+        opts = void 0;
+    }
+    if (typeof cb !== 'function') {
+        return promised(this.ready.bind(this, opts));
+    }
+
+    var pools = this.pools.slice(), quorum;
+    try {
+        quorum = validNum(opts, 'quorum', pools.length, true);
+    } catch (e) {
+        cb(e);
+        return;
+    }
+    if (quorum > pools.length) {
+        cb(new RangeError('Cluster.ready(): quorum cannot be greater than the number of pools'));
+        return;
+    }
+    if (quorum === 0) {
+        process.nextTick(cb.bind(null, null));
+        return;
+    }
+
+    var ready = 0, failures = [ ], settled = false;
+    pools.forEach(function (pool) {
+        pool.ready(function (err) {
+            if (settled) { return; }
+
+            if (err) { failures.push({ pool: pool, error: err }); }
+            else { ready++; }
+
+            if (ready >= quorum) {
+                settled = true;
+                cb(null);
+            } else if (pools.length - failures.length < quorum) {
+                // too many pools have given up to make the quorum
+                settled = true;
+                var error = this._poolsError('Cluster.ready(): Not enough pools became ready', failures);
+                error.failures = failures;
+                cb(error);
+            }
+        }.bind(this));
+    }, this);
 };
 Cluster.prototype.end = function (cb) {
+    if (typeof cb !== 'function') {
+        return promised(this.end.bind(this), true);
+    }
     if (this.ended) {
-        if (typeof cb === 'function') {
-            cb(new Error('Cluster.end(): Cluster is already ended'));
-        }
+        cb(new Error('Cluster.end(): Cluster is already ended'));
         return;
     }
 
@@ -118,19 +358,43 @@ Cluster.prototype.end = function (cb) {
     
     var count = this.pools.length,
         errs = [ ];
-    
+
+    if (count === 0) {
+        process.nextTick(cb.bind(null, null));
+        return;
+    }
+
     this.pools.forEach(function (pool) {
         pool.end(function (err, res) {
             this.removePool(pool);
             if (err) { errs.concat(err); }
             count--;
-            if (count === 0 && typeof cb === 'function') {
+            if (count === 0) {
                 cb(errs.length ? errs : null);
             }
         }.bind(this));
     }, this);
 };
+// return the metrics of each pool in the cluster, keyed by pool name (or, for unnamed pools, their index in cluster.pools)
+Cluster.prototype.metrics = function () {
+    var metrics = { };
+    this.pools.forEach(function (pool) {
+        metrics[this._label(pool)] = pool.metrics();
+    }, this);
+    return metrics;
+};
+// return the metrics of all pools in the Prometheus text exposition format, labelled with the pool they came from
+Cluster.prototype.toPrometheus = function () {
+    var metrics = this.metrics();
+    return Metrics.toPrometheus(Object.keys(metrics).map(function (name) {
+        return { labels: { pool: name }, metrics: metrics[name] };
+    }));
+};
 
+// how a pool is referred to in metrics and errors: its name, or its index in cluster.pools
+Cluster.prototype._label = function (pool) {
+    return pool.name === null ? String(this.pools.indexOf(pool)) : pool.name;
+};
 Cluster.prototype._addCapabilities = function (pool) {
     if (!pool.capabilities || !Array.isArray(pool.capabilities)) { return; }
     pool.capabilities.forEach(function (cap) {
@@ -162,12 +426,55 @@ Cluster.prototype._bindListeners = function (pool) {
     
     pool.on('error', onError);
     pool.on('warn', onWarn);
+
+    var onReady = this._checkReady.bind(this);
+    pool.on('ready', onReady);
+
+    var unbindBreaker = this.breakerOpts ? this._bindBreaker(pool) : function () { };
     
     this.removeListeners.set(pool, function () {
         pool.removeListener('error', onError);
         pool.removeListener('warn', onWarn);
+        pool.removeListener('ready', onReady);
+        unbindBreaker();
     });
 };
+// emit 'ready' the first time all the pools in the cluster are ready
+Cluster.prototype._checkReady = function () {
+    if (this.isReady || this.pools.length === 0) { return; }
+
+    var allReady = this.pools.every(function (pool) { return pool.isReady; });
+    if (!allReady) { return; }
+
+    this.isReady = true;
+    this.emit('ready');
+};
+// give the pool a circuit breaker, fed by the outcome of its acquires and pings; returns a function that
+// takes it away again
+Cluster.prototype._bindBreaker = function (pool) {
+    var breaker = new CircuitBreaker(this.breakerOpts),
+        onFailure = breaker.failure.bind(breaker),
+        onSuccess = breaker.success.bind(breaker);
+
+    breaker.on('open', this.emit.bind(this, 'poolDown', pool));
+    breaker.on('close', this.emit.bind(this, 'poolUp', pool));
+
+    pool.on('acquireFailure', onFailure);
+    pool.on('pingFailure', onFailure);
+    pool.on('acquireSuccess', onSuccess);
+    pool.on('pingSuccess', onSuccess);
+
+    this.breakers.set(pool, breaker);
+
+    return function () {
+        pool.removeListener('acquireFailure', onFailure);
+        pool.removeListener('pingFailure', onFailure);
+        pool.removeListener('acquireSuccess', onSuccess);
+        pool.removeListener('pingSuccess', onSuccess);
+        breaker.removeAllListeners();
+        this.breakers.remove(pool);
+    }.bind(this);
+};
 Cluster.prototype._unbindListeners = function (pool) {
     this.removeListeners.get(pool)();
     this.removeListeners.remove(pool);
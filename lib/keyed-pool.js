@@ -0,0 +1,402 @@
+'use strict';
+
+var HashMap = require('hashmap'),
+    Pool = require('./pool'),
+    Lease = require('./lease').Lease,
+    LinkedSet = require('./linked-set');
+
+var promised = Pool._promised,
+    validNum = Pool._validNum;
+
+var inherits = require('util').inherits,
+    EventEmitter = require('events').EventEmitter,
+    debug = require('debug')('pool2');
+
+/* A pool per key, e.g. per tenant with its own credentials, created on the first acquire for the key. The
+ * options are those of Pool, except that `acquire` is given the key as well: acquire(key, cb). `max` and the
+ * other Pool options apply to each key; `maxTotal` caps the resources held across all keys. When a key is at
+ * the cap, the resource that has been idle for longest under another key is removed to make room, if there
+ * is one; otherwise the acquire waits until a resource is released or removed somewhere. The pool's
+ * acquireTimeout only runs once the acquire has been given room. Keys whose pools have been idle
+ * (nothing checked out or queued) for `keyIdleTimeout` are evicted: their pools are ended
+ */
+function KeyedPool(opts) { // jshint maxstatements: 16
+    EventEmitter.call(this);
+
+    opts = opts || { };
+    if (typeof opts.acquire !== 'function') {
+        throw new Error('new KeyedPool(): opts.acquire must be a function');
+    }
+
+    this.maxTotal = validNum(opts, 'maxTotal', KeyedPool.defaults.maxTotal, false, true);
+    this.keyIdleTimeout = validNum(opts, 'keyIdleTimeout', KeyedPool.defaults.keyIdleTimeout, false, true);
+
+    // the options for each key's pool, without those of the keyed pool itself
+    this.poolOpts = { };
+    Object.keys(opts).forEach(function (k) {
+        if (!KeyedPool.defaults.hasOwnProperty(k)) { this.poolOpts[k] = opts[k]; }
+    }, this);
+
+    // key -> Pool
+    this.pools = new HashMap();
+    // key -> timer that evicts the key once it has been idle for keyIdleTimeout
+    this.evictTimers = new HashMap();
+    // resource -> the Pool it was acquired from. leases know their pool, so aren't recorded
+    this.sources = new HashMap();
+    // key pools that haven't called the user's acquire function yet
+    this.fresh = new HashMap();
+
+    // calls to the user's acquire function that are waiting for room under maxTotal, first come first served
+    this.waiting = new LinkedSet();
+    // calls to the user's acquire function that haven't called back yet, and calls to dispose that haven't
+    // called back yet: both hold room under maxTotal
+    this.acquiring = 0;
+    this.disposing = 0;
+
+    this.ended = false;
+}
+inherits(KeyedPool, EventEmitter);
+
+KeyedPool.defaults = {
+    maxTotal: Infinity,
+    keyIdleTimeout: 60 * 1000
+};
+
+KeyedPool.prototype.acquire = function (key, opts, cb) {
+    if (typeof opts === 'function') {
+        cb = opts;
+        opts = void 0;
+    }
+    if (typeof cb !== 'function') {
+        return promised(this.acquire.bind(this, key, opts));
+    }
+    if (this.ended) {
+        cb(new Error('KeyedPool.acquire(): KeyedPool is ended'));
+        return;
+    }
+
+    var pool;
+    try {
+        pool = this._pool(key);
+    } catch (e) {
+        cb(e);
+        return;
+    }
+
+    pool.acquire(opts, function (err, res) {
+        if (err) { cb(err); return; }
+
+        if (!(res instanceof Lease)) { this.sources.set(res, pool); }
+        cb(null, res);
+    }.bind(this));
+};
+
+KeyedPool.prototype.release = function (res, cb) {
+    if (typeof cb !== 'function') {
+        // without a callback, errors are emitted as well
+        return promised(function (done) {
+            this.release(res, function (err) {
+                if (err) { this.emit('error', err); }
+                done(err);
+            }.bind(this));
+        }.bind(this), true);
+    }
+
+    var pool = this._takeSource(res);
+    if (!pool) {
+        cb(this._unknown('release', res));
+        return;
+    }
+    pool.release(res, cb);
+};
+KeyedPool.prototype.remove = function (res, cb) {
+    if (typeof cb !== 'function') {
+        return promised(this.remove.bind(this, res), true);
+    }
+
+    var pool = this._takeSource(res);
+    if (!pool) {
+        var err = this._unknown('remove', res);
+        this.emit('error', err);
+        cb(err);
+        return;
+    }
+    pool.remove(res, cb);
+};
+KeyedPool.prototype.destroy = function (res) {
+    var pool = this._takeSource(res);
+    if (!pool) {
+        this.emit('error', this._unknown('destroy', res));
+        return;
+    }
+    pool.destroy(res);
+};
+
+// the stats() of each key's pool, along with the totals across keys
+KeyedPool.prototype.stats = function () {
+    var keys = { }, allocated = 0, queued = 0;
+
+    this.pools.forEach(function (pool, key) {
+        var stats = pool.stats();
+        keys[key] = stats;
+        allocated += stats.allocated;
+        queued += stats.queued;
+    });
+
+    return {
+        maxTotal: this.maxTotal,
+        allocated: allocated,
+        queued: queued,
+        waiting: this.waiting.length,
+        keys: keys
+    };
+};
+
+// end every key's pool; calls back with any errors once they have all ended
+KeyedPool.prototype.end = function (cb) {
+    if (typeof cb !== 'function') {
+        return promised(this.end.bind(this), true);
+    }
+    if (this.ended) {
+        cb(new Error('KeyedPool.end(): KeyedPool is already ended'));
+        return;
+    }
+
+    this.ended = true;
+
+    var keys = this.pools.keys(),
+        count = keys.length,
+        errs = [ ];
+
+    if (count === 0) {
+        process.nextTick(cb.bind(null, null));
+        return;
+    }
+
+    keys.forEach(function (key) {
+        this._evict(key, function (err) {
+            if (err) { errs = errs.concat(err); }
+            count--;
+            if (count === 0) { cb(errs.length ? errs : null); }
+        });
+    }, this);
+};
+
+// the pool for a key, created if there isn't one yet, or if it was destroyed (e.g. after failing to acquire
+// its first resource)
+KeyedPool.prototype._pool = function (key) {
+    var pool = this.pools.get(key);
+
+    if (!pool || pool.destroyed) {
+        debug('Creating pool for key %s', key);
+        pool = this._createPool(key);
+        this.pools.set(key, pool);
+        this.fresh.set(pool, true);
+        this._bindListeners(key, pool);
+    }
+
+    // in use again
+    clearTimeout(this.evictTimers.get(key));
+    this.evictTimers.remove(key);
+
+    return pool;
+};
+
+// a pool for a key, which acquires resources through the keyed pool, and tells it when they are gone
+KeyedPool.prototype._createPool = function (key) { // jshint maxstatements: 16
+    var opts = { }, self = this, pool;
+    Object.keys(this.poolOpts).forEach(function (k) { opts[k] = this.poolOpts[k]; }, this);
+
+    if (!opts.hasOwnProperty('name')) { opts.name = String(key); }
+
+    // the time spent waiting for room isn't counted against acquireTimeout, so the keyed pool times calls to the
+    // user's acquire function itself
+    var acquireTimeout = validNum(this.poolOpts, 'acquireTimeout', Pool.defaults.acquireTimeout, true);
+    opts.acquireTimeout = 0;
+    opts.acquire = function (cb) {
+        return self._acquireFor(pool, key, acquireTimeout, cb);
+    };
+
+    // resources leaving the pool make room under maxTotal, once they are gone
+    var dispose = this.poolOpts.dispose,
+        destroy = this.poolOpts.destroy || Pool.defaults.destroy;
+
+    if (typeof dispose === 'function') {
+        opts.dispose = function (res, cb) {
+            self.disposing++;
+            return dispose(res, function (err) {
+                self.disposing--;
+                process.nextTick(self._admit.bind(self));
+                cb(err);
+            });
+        };
+    }
+    opts.destroy = function (res) {
+        process.nextTick(self._admit.bind(self));
+        return destroy(res);
+    };
+
+    pool = new Pool(opts);
+    return pool;
+};
+
+KeyedPool.prototype._bindListeners = function (key, pool) {
+    ['error', 'warn'].forEach(function (event) {
+        pool.on(event, function (err) {
+            err.source = pool;
+            err.key = key;
+            this.emit(event, err);
+        }.bind(this));
+    }, this);
+
+    // an idle resource can be removed to make room under maxTotal
+    pool.on('release', this._admit.bind(this));
+
+    // nothing is checked out or queued: start counting down to evicting the key
+    pool.on('drain', function () {
+        if (this.ended || this.evictTimers.has(key)) { return; }
+
+        var timer = setTimeout(this._evictIfIdle.bind(this, key), this.keyIdleTimeout);
+        if (typeof timer.unref === 'function') { timer.unref(); }
+        this.evictTimers.set(key, timer);
+    }.bind(this));
+};
+
+// the pool a resource was acquired from, forgetting the record of it; undefined if it didn't come from the keyed
+// pool
+KeyedPool.prototype._takeSource = function (res) {
+    if (res instanceof Lease) {
+        return this.pools.values().indexOf(res.pool) > -1 ? res.pool : void 0;
+    }
+
+    var pool = this.sources.get(res);
+    this.sources.remove(res);
+    return pool;
+};
+
+KeyedPool.prototype._unknown = function (method, res) {
+    var err = new Error('KeyedPool.' + method + '(): Resource not acquired from this pool');
+    err.res = res;
+    return err;
+};
+
+// the pool's acquire function for a key: call the user's acquire function once there's room under maxTotal. the
+// returned function is called by the pool if the acquire fails or times out
+KeyedPool.prototype._acquireFor = function (pool, key, timeout, cb) {
+    var call = { pool: pool, key: key, timeout: timeout, cb: cb, cancel: null };
+    this.waiting.push(call);
+    this._admit();
+
+    return function () {
+        this.waiting.remove(call);
+        if (typeof call.cancel === 'function') { call.cancel(); }
+    }.bind(this);
+};
+
+// start waiting calls to the user's acquire function, while there is room for them
+KeyedPool.prototype._admit = function () {
+    while (this.waiting.length) {
+        if (this._total() < this.maxTotal) {
+            this._start(this.waiting.shift());
+            continue;
+        }
+        // a resource only makes room once it has been disposed of, and the dispose callback admits the next call;
+        // remove another only for calls that no disposal under way will make room for
+        if (this.disposing >= this.waiting.length || !this._makeRoom()) { return; }
+    }
+};
+
+// call the user's acquire function, timing it out after the pool's acquireTimeout
+KeyedPool.prototype._start = function (call) {
+    var timer, pending = true, pool = call.pool;
+
+    var settle = function (err) {
+        pending = false;
+        clearTimeout(timer);
+        this.acquiring--;
+        if (err) { process.nextTick(this._admit.bind(this)); }
+    }.bind(this);
+
+    // the pool's bailAfter runs from its first call to the user's acquire function, rather than from while it
+    // waited for room
+    if (this.fresh.has(pool)) {
+        this.fresh.remove(pool);
+        pool.started = new Date();
+    }
+
+    this.acquiring++;
+    if (call.timeout !== 0) {
+        timer = setTimeout(function () {
+            debug('Timed out acquiring resource for key %s', call.key);
+            pool.meters.increment('acquireTimeouts');
+            settle(true);
+            call.cb(new Error('Timed out acquiring resource'));
+        }, call.timeout);
+    }
+
+    call.cancel = this.poolOpts.acquire(call.key, function (err, res) {
+        // the pool removes a resource that arrives after it has been told of the timeout
+        if (!pending) {
+            if (!err) { call.cb(err, res); }
+            return;
+        }
+        settle(err);
+        call.cb(err, res);
+    });
+};
+
+// resources held across all keys, including those being acquired or disposed of
+KeyedPool.prototype._total = function () {
+    var total = this.acquiring + this.disposing;
+    this.pools.forEach(function (pool) { total += pool.pool.count(); });
+    return total;
+};
+
+// remove the resource that has been idle for longest, in any key's pool that is over its minimum; returns
+// false if there is none
+KeyedPool.prototype._makeRoom = function () {
+    var oldest = null, oldestPool = null;
+
+    this.pools.forEach(function (pool) {
+        if (pool.pool.count() <= pool.min || pool.available.length === 0) { return; }
+
+        var res = pool.idle.peekFront();
+        if (oldest === null || pool.pool.get(res) < oldestPool.pool.get(oldest)) {
+            oldest = res;
+            oldestPool = pool;
+        }
+    });
+
+    if (oldest === null) { return false; }
+
+    debug('At maxTotal, removing idle resource from pool %s', oldestPool.name);
+    oldestPool.remove(oldest);
+    return true;
+};
+
+KeyedPool.prototype._evictIfIdle = function (key) {
+    this.evictTimers.remove(key);
+
+    var pool = this.pools.get(key);
+    if (!pool || pool.requests.length || pool.acquiring || pool.available.length !== pool.pool.count()) { return; }
+
+    this._evict(key, function (err) {
+        if (err) { this.emit('warn', err); }
+    }.bind(this));
+};
+
+// take a key's pool out of the keyed pool, and end it
+KeyedPool.prototype._evict = function (key, cb) {
+    var pool = this.pools.get(key);
+
+    debug('Evicting key %s', key);
+    clearTimeout(this.evictTimers.get(key));
+    this.evictTimers.remove(key);
+    this.pools.remove(key);
+    this.fresh.remove(pool);
+
+    if (!this.ended) { this.emit('evict', key); }
+    pool.end(cb);
+};
+
+module.exports = KeyedPool;
@@ -0,0 +1,60 @@
+'use strict';
+
+/* Lease mode. The pool holds each resource in a Slot, and keys everything by the slot rather than the resource,
+ * so resources need not be distinct from each other (e.g. numeric ids, or objects that compare equal). Each
+ * checkout hands out a new Lease on the slot; a lease can only be given back once, so giving it back twice is
+ * caught even if the resource has since been checked out again under another lease
+ */
+
+// the pool's handle on one resource, for as long as the resource is in the pool
+function Slot(resource) {
+    this.resource = resource;
+}
+
+// wrap the user's acquire function so that it yields slots
+Slot.acquiring = function (acquire) {
+    return function (cb) {
+        return acquire(function (err, res) {
+            // leave missing resources alone, so that the pool can complain about them
+            cb(err, err || res == null ? res : new Slot(res));
+        });
+    };
+};
+
+// wrap one of the user's ping, dispose or destroy functions so that it is given the resource in a slot
+Slot.unwrapping = function (fn) {
+    return function (slot, cb) {
+        return fn(slot.resource, cb);
+    };
+};
+
+function Lease(pool, slot) {
+    this.pool = pool;
+    this.slot = slot;
+    this.resource = slot.resource;
+    this.returned = false;
+}
+
+// mark the lease as given back; returns an error instead if it already was
+Lease.prototype._giveBack = function (method) {
+    if (this.returned) {
+        var err = new Error(method + '(): Lease already returned');
+        err.res = this.resource;
+        return err;
+    }
+    this.returned = true;
+    return null;
+};
+
+Lease.prototype.release = function (cb) {
+    return this.pool.release(this, cb);
+};
+Lease.prototype.remove = function (cb) {
+    return this.pool.remove(this, cb);
+};
+Lease.prototype.destroy = function () {
+    this.pool.destroy(this);
+};
+
+exports.Slot = Slot;
+exports.Lease = Lease;
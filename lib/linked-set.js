@@ -0,0 +1,172 @@
+'use strict';
+/* global Map */
+
+/* An ordered set: items can be added and taken at either end, and checked for or removed from anywhere, in
+ * constant time. Items are kept in a doubly linked list, and found in it by a map of item -> list node, so an
+ * item can only be in the set once; adding an item that is already in the set moves it. The map is a native
+ * Map rather than a HashMap: hashing each item costs more than the list saves, at the sizes pools have
+ */
+function LinkedSet() {
+    this.length = 0;
+    this.head = null;
+    this.tail = null;
+    this.nodes = new Map();
+}
+
+LinkedSet.prototype.has = function (item) {
+    return this.nodes.has(item);
+};
+
+// add an item to the front
+LinkedSet.prototype.unshift = function (item) {
+    var node = this._add(item);
+
+    node.next = this.head;
+    if (this.head) { this.head.prev = node; }
+    else { this.tail = node; }
+    this.head = node;
+};
+
+// add an item to the back
+LinkedSet.prototype.push = function (item) {
+    var node = this._add(item);
+
+    node.prev = this.tail;
+    if (this.tail) { this.tail.next = node; }
+    else { this.head = node; }
+    this.tail = node;
+};
+
+// remove and return the item at the front
+LinkedSet.prototype.shift = function () {
+    if (!this.head) { return void 0; }
+
+    var item = this.head.item;
+    this.remove(item);
+    return item;
+};
+
+// remove and return the item at the back
+LinkedSet.prototype.pop = function () {
+    if (!this.tail) { return void 0; }
+
+    var item = this.tail.item;
+    this.remove(item);
+    return item;
+};
+
+LinkedSet.prototype.peekFront = function () {
+    return this.head ? this.head.item : void 0;
+};
+
+LinkedSet.prototype.peekBack = function () {
+    return this.tail ? this.tail.item : void 0;
+};
+
+// take an item out of the set, wherever it is; returns false if it wasn't in the set
+LinkedSet.prototype.remove = function (item) {
+    var node = this.nodes.get(item);
+    if (!node) { return false; }
+
+    this._unlink(node);
+    this.nodes.delete(item);
+    this.length--;
+    return true;
+};
+
+// insert an item after ref, which must be in the set
+LinkedSet.prototype.insertAfter = function (item, ref) {
+    if (ref === item) { return; }
+
+    var prev = this.nodes.get(ref),
+        node = this._add(item);
+    node.prev = prev;
+    node.next = prev.next;
+
+    if (prev.next) { prev.next.prev = node; }
+    else { this.tail = node; }
+    prev.next = node;
+};
+
+// insert an item before ref, which must be in the set
+LinkedSet.prototype.insertBefore = function (item, ref) {
+    if (ref === item) { return; }
+
+    var next = this.nodes.get(ref),
+        node = this._add(item);
+    node.next = next;
+    node.prev = next.prev;
+
+    if (next.prev) { next.prev.next = node; }
+    else { this.head = node; }
+    next.prev = node;
+};
+
+// the first item, searching from the front, for which fn returns true
+LinkedSet.prototype.find = function (fn, ctx) {
+    var node = this.head;
+    while (node) {
+        if (fn.call(ctx, node.item)) { return node.item; }
+        node = node.next;
+    }
+    return void 0;
+};
+
+// the last item, searching from the back, for which fn returns true
+LinkedSet.prototype.findLast = function (fn, ctx) {
+    var node = this.tail;
+    while (node) {
+        if (fn.call(ctx, node.item)) { return node.item; }
+        node = node.prev;
+    }
+    return void 0;
+};
+
+// call fn with each item, front to back. the item fn is called with may be removed from the set meanwhile
+LinkedSet.prototype.forEach = function (fn, ctx) {
+    var node = this.head, next;
+    while (node) {
+        next = node.next;
+        fn.call(ctx, node.item);
+        node = next;
+    }
+};
+
+// the items, front to back
+LinkedSet.prototype.toArray = function () {
+    var items = [ ];
+    this.forEach(function (item) { items.push(item); });
+    return items;
+};
+
+LinkedSet.prototype.clear = function () {
+    this.length = 0;
+    this.head = null;
+    this.tail = null;
+    this.nodes.clear();
+};
+
+// get the list node for an item that is being added, taking it out of the list first if it is already in it
+LinkedSet.prototype._add = function (item) {
+    var node = this.nodes.get(item);
+    if (node) {
+        this._unlink(node);
+        node.prev = node.next = null;
+        return node;
+    }
+
+    node = { item: item, prev: null, next: null };
+    this.nodes.set(item, node);
+    this.length++;
+    return node;
+};
+
+LinkedSet.prototype._unlink = function (node) {
+    if (node.prev) { node.prev.next = node.next; }
+    else { this.head = node.next; }
+
+    if (node.next) { node.next.prev = node.prev; }
+    else { this.tail = node.prev; }
+};
+
+module.exports = LinkedSet;
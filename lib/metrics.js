@@ -0,0 +1,205 @@
+'use strict';
+
+// upper bounds of histogram buckets, in seconds
+var BUCKETS = [ 0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10 ];
+
+// everything a pool keeps track of, keyed by the name used in snapshots. gauges aren't recorded here;
+// they're taken from pool.stats() when a snapshot is made
+var DEFINITIONS = {
+    queueWait: {
+        type: 'histogram',
+        name: 'pool2_queue_wait_seconds',
+        help: 'Time requests spent queued before being handed a resource'
+    },
+    acquireLatency: {
+        type: 'histogram',
+        name: 'pool2_acquire_duration_seconds',
+        help: 'Time taken to acquire new resources'
+    },
+    pingLatency: {
+        type: 'histogram',
+        name: 'pool2_ping_duration_seconds',
+        help: 'Time taken to ping resources'
+    },
+    acquireFailures: {
+        type: 'counter',
+        name: 'pool2_acquire_failures_total',
+        help: 'Failed attempts to acquire a new resource, including timeouts'
+    },
+    acquireTimeouts: {
+        type: 'counter',
+        name: 'pool2_acquire_timeouts_total',
+        help: 'Attempts to acquire a new resource that timed out'
+    },
+    pingTimeouts: {
+        type: 'counter',
+        name: 'pool2_ping_timeouts_total',
+        help: 'Pings that timed out'
+    },
+    requestTimeouts: {
+        type: 'counter',
+        name: 'pool2_request_timeouts_total',
+        help: 'Resource requests that timed out before being fulfilled'
+    },
+    disposeTimeouts: {
+        type: 'counter',
+        name: 'pool2_dispose_timeouts_total',
+        help: 'Resources that were destroyed because disposing of them timed out'
+    },
+    hookTimeouts: {
+        type: 'counter',
+        name: 'pool2_hook_timeouts_total',
+        help: 'Lifecycle hooks that timed out'
+    },
+    hookFailures: {
+        type: 'counter',
+        name: 'pool2_hook_failures_total',
+        help: 'Resources removed or destroyed because a lifecycle hook failed, including timeouts'
+    },
+    idleValidationFailures: {
+        type: 'counter',
+        name: 'pool2_idle_validation_failures_total',
+        help: 'Idle resources removed because they failed a background ping, including timeouts'
+    },
+    requeues: {
+        type: 'counter',
+        name: 'pool2_requeues_total',
+        help: 'Requests put back on the queue because their resource failed a ping or the onCheckout hook'
+    },
+    disposals: {
+        type: 'counter',
+        name: 'pool2_disposals_total',
+        help: 'Resources gracefully removed from the pool'
+    },
+    destroys: {
+        type: 'counter',
+        name: 'pool2_destroys_total',
+        help: 'Resources ungracefully destroyed'
+    },
+    allocated: {
+        type: 'gauge',
+        name: 'pool2_resources_allocated',
+        help: 'Resources currently held by the pool, whether checked out or not'
+    },
+    available: {
+        type: 'gauge',
+        name: 'pool2_resources_available',
+        help: 'Resources that could be handed out without exceeding the pool maximum'
+    },
+    queued: {
+        type: 'gauge',
+        name: 'pool2_requests_queued',
+        help: 'Resource requests waiting to be fulfilled'
+    }
+};
+
+function Histogram() {
+    this.counts = BUCKETS.map(function () { return 0; });
+    this.sum = 0;
+    this.count = 0;
+}
+
+Histogram.prototype.observe = function (seconds) {
+    for (var i = 0; i < BUCKETS.length; i++) {
+        if (seconds <= BUCKETS[i]) {
+            this.counts[i]++;
+            break;
+        }
+    }
+    this.sum += seconds;
+    this.count++;
+};
+
+// bucket counts are cumulative, as in the Prometheus exposition format
+Histogram.prototype.snapshot = function () {
+    var total = 0;
+    var buckets = BUCKETS.map(function (le, i) {
+        total += this.counts[i];
+        return { le: le, count: total };
+    }, this);
+    buckets.push({ le: Infinity, count: this.count });
+
+    return {
+        buckets: buckets,
+        sum: this.sum,
+        count: this.count
+    };
+};
+
+// counters and histograms describing what a pool has been doing
+function Metrics() {
+    Object.keys(DEFINITIONS).forEach(function (key) {
+        var type = DEFINITIONS[key].type;
+        if (type === 'histogram') { this[key] = new Histogram(); }
+        else if (type === 'counter') { this[key] = 0; }
+    }, this);
+}
+
+Metrics.prototype.increment = function (key) {
+    this[key]++;
+};
+
+// record a duration given in milliseconds
+Metrics.prototype.observe = function (key, ms) {
+    this[key].observe(ms / 1000);
+};
+
+// a plain object with the current value of every counter and histogram, and the given gauges
+Metrics.prototype.snapshot = function (gauges) {
+    var snapshot = { };
+    Object.keys(DEFINITIONS).forEach(function (key) {
+        var type = DEFINITIONS[key].type;
+        if (type === 'histogram') { snapshot[key] = this[key].snapshot(); }
+        else if (type === 'counter') { snapshot[key] = this[key]; }
+        else { snapshot[key] = gauges[key]; }
+    }, this);
+    return snapshot;
+};
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels, extra) {
+    var pairs = Object.keys(labels).map(function (k) {
+        return k + '="' + escapeLabel(labels[k]) + '"';
+    });
+    if (extra) { pairs.push(extra); }
+    return pairs.length ? '{' + pairs.join(',') + '}' : '';
+}
+
+/* Serialize snapshots in the Prometheus text exposition format. Takes an array of { labels, metrics }
+ * objects, where metrics is a snapshot and labels is an object of label names and values that
+ * distinguishes it from the others (e.g. { pool: 'primary' })
+ */
+Metrics.toPrometheus = function (samples) {
+    var lines = [ ];
+
+    Object.keys(DEFINITIONS).forEach(function (key) {
+        var def = DEFINITIONS[key];
+
+        lines.push('# HELP ' + def.name + ' ' + def.help);
+        lines.push('# TYPE ' + def.name + ' ' + def.type);
+
+        samples.forEach(function (sample) {
+            var value = sample.metrics[key],
+                labels = sample.labels || { };
+
+            if (def.type !== 'histogram') {
+                lines.push(def.name + formatLabels(labels) + ' ' + value);
+                return;
+            }
+
+            value.buckets.forEach(function (bucket) {
+                var le = bucket.le === Infinity ? '+Inf' : bucket.le;
+                lines.push(def.name + '_bucket' + formatLabels(labels, 'le="' + le + '"') + ' ' + bucket.count);
+            });
+            lines.push(def.name + '_sum' + formatLabels(labels) + ' ' + value.sum);
+            lines.push(def.name + '_count' + formatLabels(labels) + ' ' + value.count);
+        });
+    });
+
+    return lines.join('\n') + '\n';
+};
+
+module.exports = Metrics;
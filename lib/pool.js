@@ -1,9 +1,15 @@
 'use strict';
 
-var Deque = require('double-ended-queue'),
-    HashMap = require('hashmap');
+var HashMap = require('hashmap');
 
-var ResourceRequest = require('./resource-request');
+var ResourceRequest = require('./resource-request'),
+    RequestQueue = require('./request-queue'),
+    Metrics = require('./metrics'),
+    Autoscaler = require('./autoscaler'),
+    LinkedSet = require('./linked-set'),
+    selectionOrders = require('./selection-orders'),
+    Lease = require('./lease').Lease,
+    Slot = require('./lease').Slot;
 
 var inherits = require('util').inherits,
     EventEmitter = require('events').EventEmitter,
@@ -40,6 +46,15 @@ function setId(res) {
     }
 }
 
+// timers for background work shouldn't keep the process alive on their own
+function unref(timer) {
+    if (timer && typeof timer.unref === 'function') { timer.unref(); }
+    return timer;
+}
+
+// setTimeout() fires right away when given a delay that doesn't fit in 32 bits
+var MAX_DELAY = 0x7fffffff;
+
 function validNum(opts, val, standard, allowZero, allowInfinity) { // jshint ignore: line
     if (!opts || !opts.hasOwnProperty(val)) {
         return standard;
@@ -58,7 +73,29 @@ function validNum(opts, val, standard, allowZero, allowInfinity) { // jshint ign
 }
 function HOP(a, b) { return a && hasOwnProperty.call(a, b); }
 
-function Pool(opts) { // jshint maxcomplexity: 12, maxstatements: 45
+// the names of the lifecycle hooks; each has a timeout option named after it, e.g. onCreateTimeout
+var HOOKS = [ 'onCreate', 'onCheckout', 'onCheckin' ];
+
+// autoscaler settings, filled in from the defaults; null if autoscaling is turned off
+function autoscaleOptions(opts) {
+    if (!opts) { return null; }
+    if (opts === true) { opts = { }; }
+
+    var defaults = Autoscaler.defaults,
+        decreaseFactor = HOP(opts, 'decreaseFactor') ? opts.decreaseFactor : defaults.decreaseFactor;
+
+    assert(typeof decreaseFactor === 'number' && decreaseFactor > 0 && decreaseFactor < 1,
+        'new Pool(): opts.autoscale.decreaseFactor must be a number between 0 and 1');
+
+    return {
+        increase: validNum(opts, 'increase', defaults.increase),
+        decreaseFactor: decreaseFactor,
+        queueWaitThreshold: validNum(opts, 'queueWaitThreshold', defaults.queueWaitThreshold, true),
+        acquireLatencyThreshold: validNum(opts, 'acquireLatencyThreshold', defaults.acquireLatencyThreshold, true)
+    };
+}
+
+function Pool(opts) { // jshint maxcomplexity: 31, maxstatements: 95
     EventEmitter.call(this);
 
     opts = opts || { };
@@ -79,43 +116,121 @@ function Pool(opts) { // jshint maxcomplexity: 12, maxstatements: 45
     assert(typeof opts.dispose === 'function', 'new Pool(): opts.dispose must be a function');
     assert(!HOP(opts, 'destroy') || typeof opts.destroy === 'function', 'new Pool(): opts.destroy must be a function');
     assert(!HOP(opts, 'ping') || typeof opts.ping === 'function', 'new Pool(): opts.ping must be a function');
+    assert(!HOP(opts, 'removeOn') || typeof opts.removeOn === 'function', 'new Pool(): opts.removeOn must be a function');
+    assert(!HOP(opts, 'destroyOn') || typeof opts.destroyOn === 'function', 'new Pool(): opts.destroyOn must be a function');
+    assert(!HOP(opts, 'reclaimLeaks') || typeof opts.reclaimLeaks === 'boolean', 'new Pool(): opts.reclaimLeaks must be a boolean');
+    assert(!HOP(opts, 'name') || typeof opts.name === 'string', 'new Pool(): opts.name must be a string');
+    assert(!HOP(opts, 'leases') || typeof opts.leases === 'boolean', 'new Pool(): opts.leases must be a boolean');
+    assert(!HOP(opts, 'selectionOrder') || selectionOrders.hasOwnProperty(opts.selectionOrder),
+        'new Pool(): opts.selectionOrder must be one of ' + Object.keys(selectionOrders).join(', '));
+    assert(!HOP(opts, 'autoscale') || typeof opts.autoscale === 'boolean' ||
+        Object.prototype.toString.call(opts.autoscale) === '[object Object]',
+        'new Pool(): opts.autoscale must be a boolean or an object');
 
     this._acquire = opts.acquire;
     this._dispose = opts.dispose;
     this._destroy = opts.destroy || Pool.defaults.destroy;
     this._ping = opts.ping || Pool.defaults.ping;
 
+    // in lease mode, the pool deals in slots holding the resources; the user's functions still get the resources
+    this.leases = HOP(opts, 'leases') ? opts.leases : Pool.defaults.leases;
+    if (this.leases) {
+        this._acquire = Slot.acquiring(this._acquire);
+        this._dispose = Slot.unwrapping(this._dispose);
+        this._destroy = Slot.unwrapping(this._destroy);
+        this._ping = Slot.unwrapping(this._ping);
+    }
+
+    this.removeOn = opts.removeOn || Pool.defaults.removeOn;
+    this.destroyOn = opts.destroyOn || Pool.defaults.destroyOn;
+
+    // hook name -> { fn, timeout }; hooks left out are skipped
+    this.hooks = { };
+    HOOKS.forEach(function (name) {
+        assert(!HOP(opts, name) || typeof opts[name] === 'function', 'new Pool(): opts.' + name + ' must be a function');
+        this.hooks[name] = {
+            fn: HOP(opts, name) ? opts[name] : Pool.defaults[name],
+            timeout: validNum(opts, name + 'Timeout', Pool.defaults[name + 'Timeout'])
+        };
+    }, this);
+
     this.max = validNum(opts, 'max', Pool.defaults.max);
     this.min = validNum(opts, 'min', Pool.defaults.min, true);
 
     assert(this.max >= this.min, 'new Pool(): opts.min cannot be greater than opts.max');
 
+    // how many resources the pool may hold; the autoscaler moves it between min and max, otherwise it is max
+    var autoscale = autoscaleOptions(HOP(opts, 'autoscale') ? opts.autoscale : Pool.defaults.autoscale);
+    this.autoscaler = autoscale ? new Autoscaler(autoscale) : null;
+    this.target = this.max;
+
     this.maxRequests = validNum(opts, 'maxRequests', Pool.defaults.maxRequests, false, true);
     this.acquireTimeout = validNum(opts, 'acquireTimeout', Pool.defaults.acquireTimeout, true);
     this.disposeTimeout = validNum(opts, 'disposeTimeout', Pool.defaults.disposeTimeout, true);
     this.requestTimeout = validNum(opts, 'requestTimeout', Pool.defaults.requestTimeout, false, true);
     this.pingTimeout = validNum(opts, 'pingTimeout', Pool.defaults.pingTimeout);
+    this.pingIdleThreshold = validNum(opts, 'pingIdleThreshold', Pool.defaults.pingIdleThreshold, true);
     this.idleTimeout = validNum(opts, 'idleTimeout', Pool.defaults.idleTimeout);
     this.syncInterval = validNum(opts, 'syncInterval', Pool.defaults.syncInterval, true);
     this.bailAfter = validNum(opts, 'bailAfter', Pool.defaults.bailAfter, true, true);
-
-    assert(this.syncInterval > 0 || !HOP(opts, 'idleTimeout'), 'new Pool(): Cannot specify opts.idleTimeout when opts.syncInterval is 0');
-
+    this.maxLifetime = validNum(opts, 'maxLifetime', Pool.defaults.maxLifetime, false, true);
+    this.maxLifetimeJitter = validNum(opts, 'maxLifetimeJitter', Pool.defaults.maxLifetimeJitter, true);
+    this.maxUses = validNum(opts, 'maxUses', Pool.defaults.maxUses, false, true);
+    this.leakDetectionThreshold = validNum(opts, 'leakDetectionThreshold', Pool.defaults.leakDetectionThreshold, true);
+    this.reclaimLeaks = HOP(opts, 'reclaimLeaks') ? opts.reclaimLeaks : Pool.defaults.reclaimLeaks;
+    this.validateIdleInterval = validNum(opts, 'validateIdleInterval', Pool.defaults.validateIdleInterval, true);
+    this.validateIdleConcurrency = validNum(opts, 'validateIdleConcurrency', Pool.defaults.validateIdleConcurrency);
+
+    assert(this.syncInterval > 0 || this.validateIdleInterval === 0, 'new Pool(): Cannot specify opts.validateIdleInterval when opts.syncInterval is 0');
+    // the autoscaler only adjusts the target on the sync
+    assert(this.syncInterval > 0 || !this.autoscaler, 'new Pool(): Cannot specify opts.autoscale when opts.syncInterval is 0');
+    assert(this.maxLifetimeJitter < this.maxLifetime || this.maxLifetimeJitter === 0, 'new Pool(): opts.maxLifetimeJitter must be less than opts.maxLifetime');
+
+    this.name = HOP(opts, 'name') ? opts.name : Pool.defaults.name;
+    this.weight = validNum(opts, 'weight', Pool.defaults.weight);
     this.capabilities = Array.isArray(opts.capabilities) ? opts.capabilities.slice() : [ ];
 
     if (this.syncInterval !== 0) {
-        this.syncTimer = setInterval(this._sync.bind(this), this.syncInterval);
+        this.syncTimer = unref(setInterval(this._sync.bind(this), this.syncInterval));
     }
 
     this.live = false;
+    this.paused = false;
     this.ending = false;
+    this.closed = false;
     this.destroyed = false;
 
     this.acquiring = 0;
+    // resources that have been acquired, but not yet set up by onCreate
+    this.creating = 0;
+    // waiting out the backoff delay after a failed allocation
+    this.retrying = false;
 
     this.pool = new HashMap();
-    this.available = [ ];
-    this.requests = new Deque();
+    // idle resources, in the order they will be handed out
+    this.available = new LinkedSet();
+    // idle resources, longest idle first, and longest since they were last known to be alive first, so that
+    // reaping and background validation needn't go through all of them
+    this.idle = new LinkedSet();
+    this.unchecked = new LinkedSet();
+    this.selectionOrder = HOP(opts, 'selectionOrder') ? opts.selectionOrder : Pool.defaults.selectionOrder;
+    this.order = selectionOrders[this.selectionOrder]();
+    this.requests = new RequestQueue();
+    // the request for several resources that has first claim on resources, until it has them all
+    this.holding = null;
+
+    // resource -> checkout record, for leak detection
+    this.checkouts = new HashMap();
+    // resource -> { expires, uses }, for maxLifetime and maxUses
+    this.usage = new HashMap();
+    // resources being released, while the onCheckin hook runs
+    this.checkingIn = new HashMap();
+    // idle resources taken out of available while they are pinged in the background
+    this.validating = new HashMap();
+    // idle resource -> timer that retires it when it has been idle for too long, or outlives maxLifetime
+    this.idleTimers = new HashMap();
+
+    this.meters = new Metrics();
 
     this.started = new Date();
     this.backoff = new Backoff(opts.backoff);
@@ -124,40 +239,192 @@ function Pool(opts) { // jshint maxcomplexity: 12, maxstatements: 45
         this._seq = 0;
     }
 
-    setImmediate(this._ensureMinimum.bind(this));
+    // ready once min resources have been acquired; callbacks waiting on ready() are kept until then
+    this.isReady = false;
+    this.readyError = null;
+    this.readyWaiters = [ ];
+
+    setImmediate(this._warmUp.bind(this));
 }
 inherits(Pool, EventEmitter);
 
 Pool.defaults = {
     destroy: function () { },
     ping: function (res, cb) { setImmediate(cb); },
+    removeOn: function () { return false; },
+    destroyOn: function () { return false; },
+    onCreate: null,
+    onCheckout: null,
+    onCheckin: null,
+    onCreateTimeout: 10 * 1000,
+    onCheckoutTimeout: 10 * 1000,
+    onCheckinTimeout: 10 * 1000,
     min: 0,
     max: 10,
     acquireTimeout: 30 * 1000,
     disposeTimeout: 30 * 1000,
     requestTimeout: Infinity,
     pingTimeout: 10 * 1000,
+    pingIdleThreshold: 0,
     idleTimeout: 60 * 1000,
     syncInterval: 10 * 1000,
     bailAfter: 0,
-    maxRequests: Infinity
+    maxRequests: Infinity,
+    maxLifetime: Infinity,
+    maxLifetimeJitter: 0,
+    maxUses: Infinity,
+    leakDetectionThreshold: 0,
+    reclaimLeaks: false,
+    validateIdleInterval: 0,
+    validateIdleConcurrency: 1,
+    leases: false,
+    selectionOrder: 'lifo',
+    autoscale: false,
+    name: null,
+    weight: 1
 };
 
+// the promise implementation used when methods are called without a callback; may be replaced (e.g. with bluebird)
+Pool.Promise = global.Promise;
+
+/* Methods called without a callback return a promise instead. fn is called with a node-style callback
+ * that settles the promise; it is called outside of the promise executor so that synchronous throws
+ * (e.g. emitted errors with no listener) still reach the caller. release(), remove() and end() have
+ * always been usable fire-and-forget, so their promises are created `quiet`: marked as handled, so that
+ * callers who ignore the result don't get unhandled rejections
+ */
+function promised(fn, quiet) {
+    var settle, promise = new Pool.Promise(function (resolve, reject) {
+        settle = function (err, res) {
+            if (err) { reject(err); }
+            else { resolve(res); }
+        };
+    });
+    if (quiet) { promise.catch(function () { }); }
+    fn(settle);
+    return promise;
+}
+
+// true if err is an instance of the given Error class, or satisfies the given predicate
+function errorMatches(err, test) {
+    if (test === Error || test.prototype instanceof Error) {
+        return err instanceof test;
+    }
+    return !!test(err);
+}
+
+/* Calls fn(arg, cb) and calls back with its outcome. fn may call back, return a promise (or other thenable),
+ * or -- if it doesn't accept a callback -- return a value or throw synchronously. cb is only ever called once,
+ * and never synchronously, so that errors thrown by it aren't mistaken for errors thrown by fn
+ */
+function invoke(fn, arg, cb) {
+    var called = false, ret;
+
+    function done(err, res) {
+        if (called) { return; }
+        called = true;
+        process.nextTick(cb.bind(null, err || null, res));
+    }
+
+    try {
+        ret = fn(arg, done);
+    } catch (e) {
+        done(e);
+        return;
+    }
+
+    if (ret && typeof ret.then === 'function') {
+        ret.then(function (res) {
+            done(null, res);
+        }, function (err) {
+            done(err || new Error('Promise rejected without a reason'));
+        });
+    } else if (fn.length < 2) {
+        done(null, ret);
+    }
+}
+
 // return stats on the pool
 Pool.prototype.stats = function () {
     var allocated = this.pool.count();
     return {
         min: this.min,
         max: this.max,
+        target: this.target,
         allocated: allocated,
-        available: this.max - (allocated - this.available.length),
+        available: this.target - (allocated - this.available.length),
         queued: this.requests.length,
-        maxRequests: this.maxRequests
+        queuedByPriority: this.requests.counts(),
+        maxRequests: this.maxRequests,
+        paused: this.paused
     };
 };
 
+// return counters and histograms describing the pool's activity so far, along with the counts from stats()
+Pool.prototype.metrics = function () {
+    return this.meters.snapshot(this.stats());
+};
+
+// return metrics() in the Prometheus text exposition format
+Pool.prototype.toPrometheus = function () {
+    return Metrics.toPrometheus([ {
+        labels: this.name === null ? { } : { pool: this.name },
+        metrics: this.metrics()
+    } ]);
+};
+
 // request a resource from the pool
-Pool.prototype.acquire = function (cb) {
+Pool.prototype.acquire = function (opts, cb) {
+    if (typeof opts === 'function') {
+        cb = opts;
+        opts = void 0;
+    }
+    if (typeof cb !== 'function') {
+        return promised(this.acquire.bind(this, opts));
+    }
+
+    return this._request('Pool.acquire', 1, opts, cb);
+};
+
+// request n resources from the pool at once: the request waits in the queue as one, and calls back with an
+// array of all n resources, or with an error and none of them
+Pool.prototype.acquireMany = function (n, opts, cb) { // jshint maxcomplexity: 7
+    if (typeof opts === 'function') {
+        cb = opts;
+        opts = void 0;
+    }
+    if (typeof cb !== 'function') {
+        return promised(this.acquireMany.bind(this, n, opts));
+    }
+
+    if (typeof n !== 'number' || n % 1 !== 0 || n < 1) {
+        cb(new RangeError('Pool.acquireMany(): n must be a positive integer, ' + n + ' given.'));
+        return;
+    }
+    // the request could never be served
+    if (n > this.max) {
+        cb(new RangeError('Pool.acquireMany(): n cannot be greater than the pool max (' + this.max + '), ' + n + ' given.'));
+        return;
+    }
+
+    return this._request('Pool.acquireMany', n, opts, cb);
+};
+
+// validate the options for a request for count resources, and queue it
+Pool.prototype._request = function (method, count, opts, cb) { // jshint maxcomplexity: 14, maxstatements: 20
+    var priority = HOP(opts, 'priority') ? opts.priority : 0;
+    if (typeof priority !== 'number' || priority % 1 !== 0) {
+        cb(new RangeError(method + '(): priority must be an integer, ' + priority + ' given.'));
+        return;
+    }
+
+    // anything that looks like an AbortSignal will do
+    var signal = HOP(opts, 'signal') ? opts.signal : null;
+    if (signal !== null && (typeof signal !== 'object' || typeof signal.addEventListener !== 'function')) {
+        cb(new TypeError(method + '(): signal must be an AbortSignal'));
+        return;
+    }
+
     if (this.destroyed || this.ending) {
         cb(new Error('Pool is ' + (this.ending ? 'ending' : 'destroyed')));
         return;
@@ -168,38 +435,98 @@ Pool.prototype.acquire = function (cb) {
         return;
     }
 
-    var req = new ResourceRequest(this.requestTimeout, cb);
-    req.on('error', this.emit.bind(this, 'warn'));
+    return this._enqueue(priority, signal, count, cb);
+};
 
-    this.requests.push(req);
-    this.emit('request', req);
+// acquire a resource, pass it to fn, and give it back to the pool once fn is finished with it
+Pool.prototype.use = function (opts, fn, cb) {
+    if (typeof opts === 'function') {
+        cb = fn;
+        fn = opts;
+        opts = void 0;
+    }
+    if (typeof cb !== 'function') {
+        return promised(this.use.bind(this, opts, fn));
+    }
 
-    setImmediate(this._maybeAllocateResource.bind(this));
+    if (typeof fn !== 'function') {
+        cb(new Error('Pool.use(): fn must be a function'));
+        return;
+    }
 
-    return req;
+    this.acquire(opts, function (err, res) {
+        if (err) { cb(err); return; }
+
+        invoke(fn, res, function (err, result) {
+            this._return(res, err);
+            cb(err, result);
+        }.bind(this));
+    }.bind(this));
 };
 
 // release the resource back into the pool
-Pool.prototype.release = function (res) { // jshint maxstatements: 17
+Pool.prototype.release = function (res, cb) { // jshint maxstatements: 30, maxcomplexity: 10
+    if (typeof cb !== 'function') {
+        // without a callback, errors are emitted as well
+        return promised(function (done) {
+            this.release(res, function (err) {
+                if (err) { this.emit('error', err); }
+                done(err);
+            }.bind(this));
+        }.bind(this), true);
+    }
+
     var err;
 
+    if (res instanceof Lease) {
+        err = res._giveBack('Pool.release');
+        if (err) { cb(err); return; }
+        res = res.slot;
+    }
+
     if (!this.pool.has(res)) {
         err = new Error('Pool.release(): Resource not member of pool');
         err.res = res;
-        this.emit('error', err);
+        cb(err);
         return;
     }
 
-    if (this.available.indexOf(res) > -1) {
+    if (this.available.has(res) || this.checkingIn.has(res) || this.validating.has(res)) {
         err = new Error('Pool.release(): Resource already released (id=' + getId(res) + ')');
         err.res = res;
-        this.emit('error', err);
+        cb(err);
         return;
     }
 
-    this.pool.set(res, new Date());
-    this.available.unshift(res);
+    this._checkin(res);
+
+    // retire resources that are past their lifetime or uses, or over the max since the pool was resized
+    if (this._expired(res) || this.pool.count() > this.max) {
+        debug('Resource expired or over the pool max, removing (id=%s)', getId(res));
+        this.remove(res);
+        this._checkedIn();
+    } else {
+        this.checkingIn.set(res, true);
+        this._runHook('onCheckin', res, function (err, timedOut) {
+            this.checkingIn.remove(res);
+
+            // unless it was destroyed while the hook ran, when the pool was forced closed
+            if (this.pool.has(res)) {
+                if (err) { this._discard(res, err, timedOut); }
+                else {
+                    this._makeAvailable(res);
+                    this.emit('release', this._unwrap(res));
+                }
+            }
+            this._checkedIn();
+        }.bind(this));
+    }
+
+    cb(null);
+};
 
+// a released resource is back in the pool, or gone
+Pool.prototype._checkedIn = function () {
     if (this.requests.length === 0 && this.pool.count() === this.available.length) {
         this.emit('drain');
     }
@@ -208,18 +535,28 @@ Pool.prototype.release = function (res) { // jshint maxstatements: 17
 };
 
 // destroy the resource -- should be called only on error conditions and the like
-Pool.prototype.destroy = function (res) {
+Pool.prototype.destroy = function (res) { // jshint maxstatements: 20
+    if (res instanceof Lease) {
+        var err = res._giveBack('Pool.destroy');
+        if (err) { this.emit('error', err); return; }
+        res = res.slot;
+    }
+
     debug('Ungracefully destroying resource (id=%s)', getId(res));
     // make sure resource is not in our available resources array
-    var idx = this.available.indexOf(res);
-    if (idx > -1) { this.available.splice(idx, 1); }
+    this._unavailable(res);
 
     // remove from pool if present
     if (this.pool.has(res)) {
         this.pool.remove(res);
     }
+    this.usage.remove(res);
+    this.order.forget(res);
+    this._checkin(res);
 
     // destroy is fire-and-forget
+    this.meters.increment('destroys');
+
     try { this._destroy(res); }
     catch (e) { this.emit('warn', e); }
 
@@ -228,17 +565,28 @@ Pool.prototype.destroy = function (res) {
 
 // attempt to tear down the resource nicely -- should be called when the resource is still valid
 // (that is, the dispose callback is expected to behave correctly)
-Pool.prototype.remove = function (res, cb) { // jshint maxcomplexity: 8, maxstatements: 20
+Pool.prototype.remove = function (res, cb) { // jshint maxcomplexity: 12, maxstatements: 32
     // called sometimes internally for the timeout logic, but don't want to emit an error in those cases
     var timer, skipError = false;
     if (typeof cb === 'boolean') {
         skipError = cb;
         cb = null;
+    } else if (typeof cb !== 'function') {
+        return promised(this.remove.bind(this, res), true);
+    }
+
+    if (res instanceof Lease) {
+        var err = res._giveBack('Pool.remove');
+        if (err) {
+            this.emit('error', err);
+            if (typeof cb === 'function') { cb(err); }
+            return;
+        }
+        res = res.slot;
     }
 
     // ensure resource is not in our available resources array
-    var idx = this.available.indexOf(res);
-    if (idx > -1) { this.available.splice(idx, 1); }
+    this._unavailable(res);
 
     if (this.pool.has(res)) {
         this.pool.remove(res);
@@ -246,13 +594,21 @@ Pool.prototype.remove = function (res, cb) { // jshint maxcomplexity: 8, maxstat
         // object isn't in our pool -- emit an error
         this.emit('error', new Error('Pool.remove() called on non-member'));
     }
+    this.usage.remove(res);
+    this.order.forget(res);
+    this._checkin(res);
 
     // if we don't get a response from the dispose callback
     // within the timeout period, attempt to destroy the resource
     if (this.disposeTimeout !== 0) {
-        timer = setTimeout(this.destroy.bind(this, res), this.disposeTimeout);
+        timer = setTimeout(function () {
+            this.meters.increment('disposeTimeouts');
+            this.destroy(res);
+        }.bind(this), this.disposeTimeout);
     }
 
+    this.meters.increment('disposals');
+
     try {
         debug('Attempting to gracefully remove resource (id=%s)', getId(res));
         this._dispose(res, function (e) {
@@ -269,44 +625,315 @@ Pool.prototype.remove = function (res, cb) { // jshint maxcomplexity: 8, maxstat
     }
 };
 
-// attempt to gracefully close the pool
-Pool.prototype.end = function (cb) {
-    cb = cb || function () { };
+// call back once the pool has acquired its minimum resources, or with the error that made it give up
+Pool.prototype.ready = function (cb) {
+    if (typeof cb !== 'function') {
+        return promised(this.ready.bind(this));
+    }
 
-    this.ending = true;
+    if (this.isReady || this.readyError) {
+        process.nextTick(cb.bind(null, this.readyError));
+        return;
+    }
+    this.readyWaiters.push(cb);
+};
 
-    var closeResources = function () {
-        debug('Closing resources');
-        clearInterval(this.syncTimer);
+// change min and/or max. growing takes effect right away; when shrinking, idle resources over the new max are
+// retired right away, and checked out ones as they are released
+Pool.prototype.resize = function (opts) {
+    var min = validNum(opts, 'min', this.min, true),
+        max = validNum(opts, 'max', this.max);
 
-        var count = this.pool.count(),
-            errors = [ ];
+    assert(max >= min, 'Pool.resize(): min cannot be greater than max');
 
-        if (count === 0) {
-            cb();
-            return;
-        }
+    debug('Resizing pool (min=%d->%d, max=%d->%d)', this.min, min, this.max, max);
+    this.min = min;
+    this.max = max;
+    this.target = this.autoscaler ? Math.min(Math.max(this.target, min), max) : max;
 
-        this.pool.forEach(function (value, key) {
-            this.remove(key, function (err, res) {
-                if (err) { errors.push(err); }
+    var excess = Math.min(this.pool.count() - max, this.available.length);
+    if (excess > 0) {
+        debug('Shrinking pool: removing %d idle resources', excess);
+        // the longest idle go first
+        while (excess--) { this.remove(this.idle.peekFront()); }
+    }
 
-                count--;
-                if (count === 0) {
-                    debug('Resources closed');
-                    if (errors.length) { cb(errors); }
-                    else { cb(); }
-                }
-            });
-        }.bind(this));
+    this._ensureMinimum();
+
+    // there may be room to serve more of the queue now
+    for (var n = this.requests.length; n > 0; n--) { this._maybeAllocateResource(); }
+};
+
+// stop handing out resources, e.g. for a maintenance window. requests still queue up, and are served once the pool
+// is resumed. with { disposeIdle: true }, idle resources are removed from the pool, and not replaced until then
+Pool.prototype.pause = function (opts) {
+    if (!this.paused) {
+        debug('Pausing pool');
+        this.paused = true;
+        this.emit('pause');
+    }
+
+    if (HOP(opts, 'disposeIdle') && opts.disposeIdle) {
+        debug('Disposing of %d idle resources', this.available.length);
+        this.available.forEach(function (res) { this.remove(res); }, this);
+    }
+};
+
+// pick up where the pool left off when it was paused
+Pool.prototype.resume = function () {
+    if (!this.paused) { return; }
+
+    debug('Resuming pool');
+    this.paused = false;
+    this.emit('resume');
+
+    this._ensureMinimum();
+    this._maybeAllocateResource();
+};
+
+// attempt to gracefully close the pool
+Pool.prototype.end = function (opts, cb) { // jshint maxstatements: 23, maxcomplexity: 10
+    if (typeof opts === 'function') {
+        cb = opts;
+        opts = void 0;
+    }
+    if (typeof cb !== 'function') {
+        return promised(this.end.bind(this, opts), true);
+    }
+
+    var timeout;
+    try {
+        timeout = validNum(opts, 'timeout', Infinity, true, true);
+    } catch (e) {
+        cb(e);
+        return;
+    }
+
+    this.ending = true;
+
+    // queued requests would never conclude in a paused pool
+    this.resume();
+
+    // what had to be cut short to close the pool
+    var timer, closing = false, report = {
+        timedOut: false,
+        rejected: 0,
+        destroyed: [ ]
+    };
+
+    var closeResources = function () {
+        if (closing) { return; }
+        closing = true;
+        clearTimeout(timer);
+        this.removeListener('drain', closeResources);
+        this._closeResources(report, cb);
     }.bind(this);
 
+    if (HOP(opts, 'rejectPending') && opts.rejectPending) {
+        report.rejected += this._rejectPending();
+    }
+
     // begin now, or wait until there are no pending requests
     if (this.available.length === this.pool.count() && this.requests.length === 0 && this.acquiring === 0) {
         closeResources();
+        return;
+    }
+
+    debug('Waiting for active requests to conclude before closing resources');
+    this.on('drain', closeResources);
+
+    if (timeout !== Infinity) {
+        timer = setTimeout(function () {
+            debug('Timed out waiting for active requests to conclude, forcing the pool closed');
+            report.timedOut = true;
+            report.rejected += this._rejectPending();
+            report.destroyed = this._destroyCheckedOut();
+            closeResources();
+        }.bind(this), timeout);
+    }
+};
+
+// remove every resource from the pool, and call back with any errors from disposing of them
+Pool.prototype._closeResources = function (report, cb) {
+    debug('Closing resources');
+    clearInterval(this.syncTimer);
+    this.closed = true;
+    this._settleReady(new Error('Pool is ending'));
+
+    var count = this.pool.count(),
+        errors = [ ];
+
+    if (count === 0) {
+        cb(null, report);
+        return;
+    }
+
+    this.pool.forEach(function (value, key) {
+        this.remove(key, function (err, res) {
+            if (err) { errors.push(err); }
+
+            count--;
+            if (count === 0) {
+                debug('Resources closed');
+                cb(errors.length ? errors : null, report);
+            }
+        });
+    }.bind(this));
+};
+
+// reject every request still waiting in the queue; returns how many there were
+Pool.prototype._rejectPending = function () {
+    var req, count = 0;
+    while (( req = this.requests.shift() )) {
+        if (req.fulfilled) { continue; }
+        req.reject(new Error('Pool is ending'));
+        count++;
+    }
+    if (count) { debug('Rejected %d pending requests', count); }
+    return count;
+};
+
+// destroy every resource that is checked out (or reserved for a request while it is pinged); returns them
+Pool.prototype._destroyCheckedOut = function () {
+    var checkedOut = this.pool.keys().filter(function (res) {
+        return !this.available.has(res);
+    }, this);
+
+    debug('Destroying %d resources that are still checked out', checkedOut.length);
+    checkedOut.forEach(function (res) { this.destroy(res); }, this);
+
+    return checkedOut.map(function (res) {
+        return this.leases ? res.resource : res;
+    }, this);
+};
+
+// the user's resource, for the resource the pool keeps: in lease mode, the pool keeps each one in a slot
+Pool.prototype._unwrap = function (res) {
+    return this.leases ? res.resource : res;
+};
+
+// give back a resource borrowed by use(): release it, unless fn failed with an error that calls for
+// destroying or removing it instead
+Pool.prototype._return = function (res, err) {
+    if (err && errorMatches(err, this.destroyOn)) {
+        debug('Destroying resource after error in use() (id=%s): %s', getId(res), err.message);
+        this.destroy(res);
+    } else if (err && errorMatches(err, this.removeOn)) {
+        debug('Removing resource after error in use() (id=%s): %s', getId(res), err.message);
+        this.remove(res);
     } else {
-        debug('Waiting for active requests to conclude before closing resources');
-        this.once('drain', closeResources);
+        this.release(res);
+    }
+};
+
+// create a resource request and queue it to be served
+Pool.prototype._enqueue = function (priority, signal, count, cb) { // jshint maxstatements: 24
+    var req, onAbort, pool = this;
+
+    if (count > 1) {
+        // a request for several resources that fails gives back those it was already holding. they may have been
+        // destroyed if the pool was forced closed, so there's nothing to say if they can't be released
+        var whole = cb;
+        cb = function (err) {
+            if (err) {
+                req.held.splice(0).forEach(function (res) { pool.release(res, function () { }); });
+            }
+            whole.apply(this, arguments);
+        };
+    }
+
+    if (signal) {
+        // stop listening for the signal once the request has been fulfilled, however that came about
+        var callback = cb;
+        cb = function () {
+            signal.removeEventListener('abort', onAbort);
+            callback.apply(this, arguments);
+        };
+    }
+
+    req = new ResourceRequest(this.requestTimeout, cb);
+    req.priority = priority;
+    req.count = count;
+    if (this.leakDetectionThreshold !== 0) {
+        // capturing stack traces is expensive, so only do it when they might be reported
+        req.stack = new Error('Resource checked out').stack;
+    }
+    req.on('error', this.emit.bind(this, 'warn'));
+    req.on('timeout', this.meters.increment.bind(this.meters, 'requestTimeouts'));
+
+    if (signal) {
+        onAbort = this._abort.bind(this, req, signal);
+        if (signal.aborted) {
+            onAbort();
+            return req;
+        }
+        signal.addEventListener('abort', onAbort);
+    }
+
+    this.requests.push(req);
+    this.emit('request', req);
+
+    setImmediate(this._maybeAllocateResource.bind(this));
+
+    return req;
+};
+
+// a request's signal was aborted: take the request off the queue and reject it. if a resource is being pinged
+// for it, the resource is made available again once the ping is done
+Pool.prototype._abort = function (req, signal) {
+    if (req.fulfilled) { return; }
+
+    debug('Request aborted by its signal (req=%s)', req.id);
+    this.requests.remove(req);
+
+    var reason = signal.reason;
+    req.abort(reason && reason.message || reason);
+};
+
+// when leak detection is enabled, record when and by whom a resource was checked out, and
+// report it if it isn't returned within leakDetectionThreshold ms
+Pool.prototype._checkout = function (res, req) {
+    if (this.leakDetectionThreshold === 0) { return; }
+
+    var checkout = {
+        resource: res,
+        checkedOutAt: new Date(),
+        stack: req.stack,
+        timer: null
+    };
+    checkout.timer = unref(setTimeout(this._leaked.bind(this, checkout), this.leakDetectionThreshold));
+    this.checkouts.set(res, checkout);
+};
+
+// forget the checkout record for a resource that has been released, removed or destroyed
+Pool.prototype._checkin = function (res) {
+    var checkout = this.checkouts.get(res);
+    if (!checkout) { return; }
+
+    clearTimeout(checkout.timer);
+    this.checkouts.remove(res);
+};
+
+// a resource has been checked out for longer than leakDetectionThreshold
+Pool.prototype._leaked = function (checkout) {
+    var res = checkout.resource,
+        heldFor = (new Date()) - checkout.checkedOutAt;
+
+    debug('Resource checked out for %dms, possible leak (id=%s)', heldFor, getId(res));
+
+    // only report each checkout once
+    this.checkouts.remove(res);
+
+    this.emit('leak', {
+        resource: this.leases ? res.resource : res,
+        checkedOutAt: checkout.checkedOutAt,
+        heldFor: heldFor,
+        stack: checkout.stack
+    });
+
+    if (this.reclaimLeaks) {
+        debug('Reclaiming leaked resource (id=%s)', getId(res));
+        this.destroy(res);
     }
 };
 
@@ -316,6 +943,32 @@ Pool.prototype._clearStaleRequests = function () {
     }
 };
 
+// start acquiring the minimum resources; a pool with no minimum is ready right away
+Pool.prototype._warmUp = function () {
+    this._ensureMinimum();
+    this._checkReady();
+};
+
+Pool.prototype._checkReady = function () {
+    if (this.isReady || this.readyError || this.pool.count() < this.min) { return; }
+
+    debug('Pool is ready (cur=%d, min=%d)', this.pool.count(), this.min);
+    this._settleReady(null);
+    this.emit('ready');
+};
+
+// call back everything waiting on ready(), the first time the pool becomes ready or gives up
+Pool.prototype._settleReady = function (err) {
+    if (this.isReady || this.readyError) { return; }
+
+    if (err) { this.readyError = err; }
+    else { this.isReady = true; }
+
+    var waiters = this.readyWaiters;
+    this.readyWaiters = [ ];
+    waiters.forEach(function (cb) { cb(err); });
+};
+
 // try to put things in the correct state
 Pool.prototype._sync = function () {
     debug('sync');
@@ -329,33 +982,205 @@ Pool.prototype._sync = function () {
 
     this._ensureMinimum();
     this._reap();
+    this._validateIdle();
+    this._autoscale();
     this._maybeAllocateResource();
 };
 
-// close idle resources
+// let the autoscaler adjust the target size of the pool, based on what happened since the last sync
+Pool.prototype._autoscale = function () {
+    if (!this.autoscaler) { return; }
+
+    var previous = this.target;
+    this.target = this.autoscaler.update(this.metrics(), this.target, this.min, this.max);
+
+    if (this.target !== previous) {
+        debug('Autoscaling pool (target=%d->%d)', previous, this.target);
+        this.emit('autoscale', { target: this.target, previous: previous });
+    }
+};
+
+// put a resource that has become idle among the available ones, in its place in the selection order
+Pool.prototype._makeAvailable = function (res) {
+    this.pool.set(res, new Date());
+    this.order.add(this.available, res);
+    this.idle.push(res);
+    this.unchecked.push(res);
+    this._scheduleIdle(res);
+};
+
+// put a resource back among the available ones after a background ping, where it was before: it keeps its idle
+// time, so that e.g. under lifo the pinged resources aren't handed out first, and extra resources still go idle
+Pool.prototype._restoreAvailable = function (res) {
+    var pool = this.pool,
+        since = function (item) { return pool.get(item); },
+        next = this.idle.find(function (item) { return since(item) > since(res); });
+
+    this.order.restore(this.available, res, since);
+    if (next === void 0) { this.idle.push(res); }
+    else { this.idle.insertBefore(res, next); }
+    this.unchecked.push(res);
+    this._scheduleIdle(res);
+};
+
+// take the next resource to hand out
+Pool.prototype._takeAvailable = function () {
+    var res = this.available.peekFront();
+    this._unavailable(res);
+    this.order.taken(res);
+    return res;
+};
+
+// take a resource out of the available ones, wherever it is
+Pool.prototype._unavailable = function (res) {
+    this.available.remove(res);
+    this.idle.remove(res);
+    this.unchecked.remove(res);
+    this._unscheduleIdle(res);
+};
+
+// ping idle resources that haven't been used or pinged for validateIdleInterval, no more than
+// validateIdleConcurrency at a time, so that dead ones are found before they are handed out
+Pool.prototype._validateIdle = function () { // jshint maxcomplexity: 7
+    var slots = this.validateIdleConcurrency - this.validating.count();
+    if (this.validateIdleInterval === 0 || this.ending || this.paused) { return; }
+
+    var threshold = Date.now() - this.validateIdleInterval, res;
+    while (slots-- > 0 && ( res = this.unchecked.peekFront() ) && this._lastChecked(res) <= threshold) {
+        this._validate(res);
+    }
+};
+
+// when a resource was last known to be alive: when it was last released, or passed a background ping
+Pool.prototype._lastChecked = function (res) {
+    var usage = this.usage.get(res);
+    return Math.max(this.pool.get(res), usage && usage.validated || 0);
+};
+
+// ping an idle resource in the background; it isn't handed out meanwhile
+Pool.prototype._validate = function (res) {
+    var timer, done = false, start = new Date();
+
+    debug('Validating idle resource (id=%s)', getId(res));
+    this._unavailable(res);
+    this.validating.set(res, true);
+
+    var finish = function (err) {
+        if (done) { return; }
+        done = true;
+        clearTimeout(timer);
+        this.validating.remove(res);
+
+        // unless it was removed meanwhile, e.g. because the pool was closed
+        if (this.pool.has(res)) { this._validated(res, err, start); }
+        this._checkedIn();
+
+        // rather than waiting for the next sync, so that more than validateIdleConcurrency resources can be
+        // pinged per syncInterval
+        this._validateIdle();
+    }.bind(this);
+
+    timer = unref(setTimeout(function () {
+        debug('Background ping timeout, removing resource (id=%s)', getId(res));
+        this.meters.increment('pingTimeouts');
+        finish(new Error('Ping timed out'));
+    }.bind(this), this.pingTimeout));
+
+    invoke(this._ping, res, finish);
+};
+
+Pool.prototype._validated = function (res, err, start) {
+    if (err) {
+        debug('Idle resource failed a background ping, removing (id=%s)', getId(res));
+        this.meters.increment('idleValidationFailures');
+        this.emit('warn', err);
+        this.emit('pingFailure', this._unwrap(res));
+        this.remove(res);
+        return;
+    }
+
+    this.meters.observe('pingLatency', (new Date()) - start);
+    this.emit('pingSuccess', this._unwrap(res));
+
+    var usage = this.usage.get(res);
+    if (usage) { usage.validated = Date.now(); }
+    this._restoreAvailable(res);
+};
+
+// arrange for a resource that has just become idle to be retired once it has been idle for idleTimeout, or
+// outlives maxLifetime, whichever comes first
+Pool.prototype._scheduleIdle = function (res, since) {
+    this._unscheduleIdle(res);
+
+    var now = Date.now(),
+        usage = this.usage.get(res),
+        delay = this.idleTimeout - (now - (since || this.pool.get(res)));
+
+    if (usage) { delay = Math.min(delay, usage.expires - now); }
+    delay = Math.min(Math.max(delay, 0), MAX_DELAY);
+
+    this.idleTimers.set(res, unref(setTimeout(this._idle.bind(this, res), delay)));
+};
+
+Pool.prototype._unscheduleIdle = function (res) {
+    var timer = this.idleTimers.get(res);
+    if (!timer) { return; }
+
+    clearTimeout(timer);
+    this.idleTimers.remove(res);
+};
+
+// an idle resource's timer is up: retire it if it has expired, or been idle for too long and isn't needed to
+// make up the minimum
+Pool.prototype._idle = function (res) {
+    this.idleTimers.remove(res);
+
+    if (this._expired(res)) {
+        debug('Resource expired while idle, removing (id=%s)', getId(res));
+        this.remove(res);
+        this._ensureMinimum();
+    } else if ((new Date()) - this.pool.get(res) < this.idleTimeout) {
+        // the delay was capped
+        this._scheduleIdle(res);
+    } else if (this.pool.count() > this.min) {
+        debug('Resource idle for %dms, removing (id=%s)', this.idleTimeout, getId(res));
+        this.remove(res);
+    } else {
+        // needed to make up the minimum for now; look again in another idleTimeout, in case the pool has grown
+        // (there may be no syncInterval to fall back on)
+        this._scheduleIdle(res, Date.now());
+    }
+};
+
+// close idle resources. each idle resource has a timer to do this, which also retires it once it outlives
+// maxLifetime; this is only a fallback, on the syncInterval
 Pool.prototype._reap = function () {
     var n = this.pool.count(),
-        i, c = 0, res, idleTimestamp,
+        c = 0, res = this.idle.peekFront(),
         idleThreshold = (new Date()) - this.idleTimeout;
 
     debug('reap (cur=%d, av=%d)', n, this.available.length);
 
-    for (i = this.available.length; n > this.min && i >= 0; i--) {
-        res = this.available[i];
-        idleTimestamp = this.pool.get(res);
-
-        if (idleTimestamp < idleThreshold) {
-            n--; c++;
-            this.remove(res);
-        }
+    while (n > this.min && res !== void 0 && this.pool.get(res) < idleThreshold) {
+        n--; c++;
+        this.remove(res);
+        res = this.idle.peekFront();
     }
 
     if (c) { debug('Shrinking pool: destroying %d idle connections', c); }
 };
 
+// true if the resource has been around for longer than maxLifetime, or has been used maxUses times
+Pool.prototype._expired = function (res) {
+    var usage = this.usage.get(res);
+    if (!usage) { return false; }
+    return usage.uses >= this.maxUses || Date.now() >= usage.expires;
+};
+
 // attempt to acquire at least the minimum quantity of resources
-Pool.prototype._ensureMinimum = function () {
-    if (this.ending || this.destroyed) { return; }
+Pool.prototype._ensureMinimum = function () { // jshint maxcomplexity: 7
+    // after a failed allocation, wait for the backoff delay rather than replacing resources as they go
+    if (this.ending || this.destroyed || this.paused || this.retrying) { return; }
 
     var n = this.min - (this.pool.count() + this.acquiring);
     if (n <= 0) { return; }
@@ -365,35 +1190,62 @@ Pool.prototype._ensureMinimum = function () {
 };
 
 // allocate a resource to a waiting request, if possible
-Pool.prototype._maybeAllocateResource = function () { // jshint maxstatements: 25, maxcomplexity: 8
+Pool.prototype._maybeAllocateResource = function () { // jshint maxstatements: 38, maxcomplexity: 12
     this._clearStaleRequests();
 
-    // do nothing if there are no requests to serve
-    if (this.requests.length === 0) { return; }
+    // do nothing if there are no requests to serve, or we aren't serving them
+    if (this.requests.length === 0 || this.paused) { return; }
 
     // call callback if there is a request and a resource to give it
     if (this.available.length) {
-        var res = this.available.shift(),
-            req = this.requests.shift();
+        var req = this._nextRequest();
+        if (!req) { return; }
+
+        var res = this._takeAvailable();
+        this._reserve(req);
 
         debug('Reserving request for resource (id=%s, req=%s)', getId(res), req.id);
 
-        var aborted = false, abort, timer;
+        // the resource may have expired since it was last released
+        if (this._expired(res)) {
+            debug('Resource expired while idle, removing (id=%s)', getId(res));
+            this._unreserve(req);
+            this.remove(res);
+            this._maybeAllocateResource();
+            return;
+        }
+
+        // a resource that was in use a moment ago is as good as pinged
+        if ((new Date()) - this.pool.get(res) < this.pingIdleThreshold) {
+            debug('Resource was recently used, skipping ping (id=%s)', getId(res));
+            // call back asynchronously, as with a ping, rather than from within e.g. the release() that freed it
+            setImmediate(this._handOut.bind(this, res, req));
+            return;
+        }
+
+        var aborted = false, abort, timer, pingStart;
 
         timer = setTimeout(function () {
             debug('Ping timeout, removing resource (id=%s)', getId(res));
+            this.meters.increment('pingTimeouts');
             abort();
-        }, this.pingTimeout);
+        }.bind(this), this.pingTimeout);
 
         abort = function () {
-            debug('Releasing request to request list (req=%s)', req.id);
-
-            this.emit('requeue', req);
+            // the resource was destroyed while it was being pinged; there's no use pinging another
+            if (!this.pool.has(res)) {
+                aborted = true;
+                clearTimeout(timer);
+                this._handOut(res, req);
+                return;
+            }
 
             aborted = true;
             clearTimeout(timer);
 
-            this.requests.unshift(req);
+            this.emit('pingFailure', this._unwrap(res));
+
+            this._requeue(req);
             this.remove(res);
             this._maybeAllocateResource();
         }.bind(this);
@@ -401,12 +1253,14 @@ Pool.prototype._maybeAllocateResource = function () { // jshint maxstatements: 2
         try {
             debug('Pinging resource (id=%s)', getId(res));
 
+            pingStart = new Date();
             this._ping(res, function (err) {
                 if (aborted) {
                     debug('Ping succeeded after timeout, doing nothing (id=%s, req=%s)', getId(res), req.id);
                     return;
                 }
                 clearTimeout(timer);
+                this.meters.observe('pingLatency', (new Date()) - pingStart);
 
                 if (err) {
                     debug('Ping errored, releasing resource (id=%s)', getId(res));
@@ -415,14 +1269,8 @@ Pool.prototype._maybeAllocateResource = function () { // jshint maxstatements: 2
                     return;
                 }
 
-                if (!req.fulfilled) {
-                    debug('Allocating resource to request (id=%s, req=%s); waited %ds', getId(res), req.id, ((new Date()) - req.ts) / 1000);
-                    req.resolve(res);
-                } else {
-                    debug('Request became fulfilled while pinging resource; discarding (id=%s, req=%s)', getId(res), req.id);
-                    // there's no request to serve, but we've still got a resource checked out -- release it
-                    this.release(res);
-                }
+                this.emit('pingSuccess', this._unwrap(res));
+                this._handOut(res, req);
             }.bind(this));
         } catch (err) {
             debug('Synchronous throw attempting to ping resource (id=%s): %s', getId(res), err.message);
@@ -433,20 +1281,166 @@ Pool.prototype._maybeAllocateResource = function () { // jshint maxstatements: 2
         return;
     }
 
-    // allocate a new resource if there is a request but no resource to give it
+    // allocate new resources if there are requests but no resources to give them
     // and there's room in the pool
-    var pending = this.requests.length,
-        toBeAvailable = this.available.length + this.acquiring,
+    var pending = this._wanted(),
+        toBeAvailable = this.available.length + this.acquiring + this.creating,
         toBeTotal = this.pool.count() + this.acquiring;
 
-    if (pending > toBeAvailable && toBeTotal < this.max) {
-        debug('Growing pool: no resource to serve request (p=%d, tba=%d, tbt=%d, max=%d)', pending, toBeAvailable, toBeTotal, this.max);
-        this._allocateResource();
+    if (pending > toBeAvailable && toBeTotal < this.target) {
+        debug('Growing pool: no resource to serve request (p=%d, tba=%d, tbt=%d, target=%d)', pending, toBeAvailable, toBeTotal, this.target);
+        var n = Math.min(pending - toBeAvailable, this.target - toBeTotal);
+        // a synchronous acquire hands each resource out right away, which may grow the pool from within this
+        // loop, so the room left is checked again each time
+        while (n-- && this.pool.count() + this.acquiring < this.target) { this._allocateResource(); }
     } else {
         debug('Not growing pool: pending=%d, to be available=%d', pending, toBeAvailable);
     }
 };
 
+// the request to reserve the next resource for, or null if none may have it yet. a request for several
+// resources that has some reserved has the first claim on resources until it has them all, and holds up other
+// requests for several meanwhile, so that no two of them can each hold part of what they need
+Pool.prototype._nextRequest = function () { // jshint maxcomplexity: 7
+    var holding = this.holding;
+    if (holding && holding.fulfilled) { holding = this.holding = null; }
+
+    // a request stays in the queue for as long as it wants more resources reserved
+    if (holding && this.requests.has(holding)) { return holding; }
+
+    var req = this.requests.peekFront();
+    return holding && req.count > 1 ? null : req;
+};
+
+// reserve a resource for a request; it leaves the queue once it has one reserved for every resource it wants
+Pool.prototype._reserve = function (req) {
+    req.reserving++;
+    if (req.held.length + req.reserving === req.count) { this.requests.remove(req); }
+    if (req.count > 1) { this.holding = req; }
+};
+
+// the resource reserved for a request can't be handed over after all: the request goes back to the front of its
+// priority level, unless it is still queued for more
+Pool.prototype._unreserve = function (req) {
+    req.reserving--;
+    if (!this.requests.has(req)) { this.requests.unshift(req); }
+};
+
+// the number of resources wanted by queued requests, less those already reserved
+Pool.prototype._wanted = function () {
+    var wanted = this.requests.resources, holding = this.holding;
+    if (holding && this.requests.has(holding)) { wanted -= holding.held.length + holding.reserving; }
+    return wanted;
+};
+
+// give a reserved resource to the request it was reserved for, once the onCheckout hook has run
+Pool.prototype._handOut = function (res, req) {
+    if (!this.pool.has(res) || req.fulfilled) {
+        this._deliver(res, req);
+        return;
+    }
+
+    this._runHook('onCheckout', res, function (err, timedOut) {
+        if (err && this.pool.has(res)) {
+            this._discard(res, err, timedOut);
+            this._requeue(req);
+            this._maybeAllocateResource();
+            return;
+        }
+        this._deliver(res, req);
+    }.bind(this));
+};
+
+// put a request back at the front of its priority level, ahead of requests that arrived after it, when the
+// resource reserved for it turned out to be unusable -- unless the request was aborted in the meantime
+Pool.prototype._requeue = function (req) {
+    if (req.fulfilled) { return; }
+
+    debug('Releasing request to request list (req=%s)', req.id);
+    this.meters.increment('requeues');
+    this.emit('requeue', req);
+    this._unreserve(req);
+};
+
+// run one of the lifecycle hooks on a resource; calls back with an error, and whether it was a timeout, if
+// the hook fails or takes too long. calls back right away if the hook isn't set
+Pool.prototype._runHook = function (name, res, cb) {
+    var hook = this.hooks[name], done = false, timer;
+    if (!hook.fn) {
+        cb(null);
+        return;
+    }
+
+    function finish(err, timedOut) {
+        if (done) { return; }
+        done = true;
+        clearTimeout(timer);
+        cb(err, timedOut);
+    }
+
+    timer = setTimeout(function () {
+        debug('%s hook timed out (id=%s)', name, getId(res));
+        this.meters.increment('hookTimeouts');
+        finish(new Error('Timed out running ' + name + ' hook'), true);
+    }.bind(this), hook.timeout);
+
+    debug('Running %s hook (id=%s)', name, getId(res));
+    invoke(hook.fn, this.leases ? res.resource : res, finish);
+};
+
+// a lifecycle hook failed on a resource: destroy it if the hook timed out (it may still be using the resource)
+// or failed with an error that matches destroyOn, and remove it otherwise
+Pool.prototype._discard = function (res, err, timedOut) {
+    this.meters.increment('hookFailures');
+    this.emit('warn', err);
+
+    if (timedOut || errorMatches(err, this.destroyOn)) {
+        debug('Destroying resource after a failed hook (id=%s): %s', getId(res), err.message);
+        this.destroy(res);
+    } else {
+        debug('Removing resource after a failed hook (id=%s): %s', getId(res), err.message);
+        this.remove(res);
+    }
+};
+
+// give a reserved resource to the request it was reserved for
+Pool.prototype._deliver = function (res, req) { // jshint maxcomplexity: 7
+    if (!this.pool.has(res)) {
+        // destroyed while it was being pinged, which only happens when the pool is forced closed
+        debug('Resource was destroyed while being pinged (id=%s, req=%s)', getId(res), req.id);
+        if (!req.fulfilled) { req.reject(new Error('Pool is ' + (this.destroyed ? 'destroyed' : 'ending'))); }
+    } else if (!req.fulfilled) {
+        debug('Allocating resource to request (id=%s, req=%s); waited %ds', getId(res), req.id, ((new Date()) - req.ts) / 1000);
+        var usage = this.usage.get(res);
+        if (usage) { usage.uses++; }
+        this._checkout(res, req);
+        this._hold(res, req);
+    } else {
+        debug('Request became fulfilled while pinging resource; discarding (id=%s, req=%s)', getId(res), req.id);
+        // there's no request to serve, but we've still got a resource checked out -- release it
+        this.release(res);
+    }
+};
+
+// hand a resource over to the request it was reserved for, and resolve the request once it holds every resource
+// it wants. a request for several resources holds on to those it has until then
+Pool.prototype._hold = function (res, req) {
+    req.reserving--;
+    req.held.push(this.leases ? new Lease(this, res) : res);
+
+    if (req.held.length < req.count) {
+        this._maybeAllocateResource();
+        return;
+    }
+
+    this.meters.observe('queueWait', (new Date()) - req.ts);
+    req.resolve(req.count === 1 ? req.held[0] : req.held);
+
+    // requests for more than one resource may have been held back while this one had first claim. on the next
+    // turn, rather than from within the allocation that delivered the last resource
+    if (req.count > 1) { setImmediate(this._maybeAllocateResource.bind(this)); }
+};
+
 // create a new resource
 Pool.prototype._allocateResource = function () {
     if (this.destroyed) {
@@ -459,13 +1453,12 @@ Pool.prototype._allocateResource = function () {
     // acquiring is asynchronous, don't over-allocate due to in-progress resource allocation
     this.acquiring++;
 
-    var onError, timer, destroyFn;
+    // pending until the acquire function calls back, or times out
+    var onError, timer, destroyFn, pending = true, start = new Date();
 
     onError = function (err) {
         clearTimeout(timer);
 
-        debug('Couldn\'t allocate new resource: %s', err.message);
-
         // if the acquire function returned a destructor, call it
         if (typeof destroyFn === 'function') {
             try {
@@ -475,35 +1468,22 @@ Pool.prototype._allocateResource = function () {
             }
         }
 
-        // throw an error if we haven't successfully allocated a resource within
-        // the alloted time
-        var now = new Date();
-        if (this.live === false && now - this.started >= this.bailAfter) {
-            debug('Destroying pool: unable to aquire a resource within %ds', this.bailAfter/1000);
-            this._destroyPool();
-            this.emit('error', err);
-            return;
-        }
-
-        // timed out allocations are dropped from the pool. this could leave us
-        // below the minimum threshold (try to acquire new resources), or without
-        // anything attempting to service a pending request (min=0)
-        // try to bring us up to the minimum and/or service requests, but don't spam
-        setTimeout(this._sync.bind(this), this.backoff.next());
+        this._allocationFailed(err);
     }.bind(this);
 
     if (this.acquireTimeout !== 0) {
         timer = setTimeout(function () {
             debug('Timed out acquiring resource');
-            timer = null;
+            pending = false;
             this.acquiring--;
+            this.meters.increment('acquireTimeouts');
 
             onError(new Error('Timed out acquiring resource'));
         }.bind(this), this.acquireTimeout);
     }
 
     try {
-        destroyFn = this._acquire(function (err, res) { // jshint maxstatements: 25
+        destroyFn = this._acquire(function (err, res) { // jshint maxstatements: 31, maxcomplexity: 10
 
             if (err == null && res == null) { // null OR undefined
               onError(new Error('Acquire callback gave no error and no resource -- check your Pool instance\'s acquire function'));
@@ -512,9 +1492,9 @@ Pool.prototype._allocateResource = function () {
 
             setId(res);
 
-            if (timer) {
+            if (pending) {
                 clearTimeout(timer);
-                timer = null;
+                pending = false;
                 this.acquiring--;
             } else if (!err) {
                 debug('Attempting to gracefully clean up late-arrived resource (id=%s)', getId(res));
@@ -527,52 +1507,127 @@ Pool.prototype._allocateResource = function () {
                 return;
             }
 
-            this.live = true;
-
-            debug('Successfully allocated new resource (cur=%d, ac=%d, id=%s)', this.pool.count(), this.acquiring, getId(res));
-
-            this.pool.set(res, new Date());
-            this.available.unshift(res);
-
-            // normally 'drain' is emitted when the pending requests queue is empty; pending requests
-            // are the primary source of acquiring new resources. the pool minimum can cause resources
-            // to be acquired with no pending requests, however. if pool.end() is called while resources
-            // are being acquired to fill the minimum, the 'drain' event will never get triggered because
-            // there were no requests pending. in this case, we want to trigger the cleanup routine that
-            // normally binds to 'drain'
-            if (this.ending && this.requests.length === 0 && this.acquiring === 0) {
-                this.emit('drain');
+            if (this.closed) {
+                debug('Removing resource that arrived after the pool was closed (id=%s)', getId(res));
+                this.remove(res, true);
                 return;
             }
 
-            // we've successfully acquired a resource, and we only get
-            // here if something wants it, so... do that
-            this._maybeAllocateResource();
+            this.usage.set(res, {
+                // spread out expiry of resources that were acquired together
+                expires: Date.now() + this.maxLifetime - Math.floor(Math.random() * this.maxLifetimeJitter),
+                uses: 0
+            });
+
+            // a member of the pool from here on, so that it isn't replaced meanwhile, but not available
+            // until onCreate has run
+            this.pool.set(res, new Date());
+            this.creating++;
+            this._runHook('onCreate', res, function (err, timedOut) {
+                this.creating--;
+                if (!this.pool.has(res)) {
+                    debug('Resource was removed while being set up (id=%s)', getId(res));
+                } else if (err) {
+                    this._discard(res, err, timedOut);
+                    this._allocationFailed(err);
+                } else {
+                    this._allocated(res, start);
+                }
+            }.bind(this));
         }.bind(this));
     } catch (e) {
         onError(e);
     }
 };
 
+// a new resource has been acquired and set up
+Pool.prototype._allocated = function (res, start) {
+    this.live = true;
+    this.meters.observe('acquireLatency', (new Date()) - start);
+    this.emit('acquireSuccess', this._unwrap(res));
+
+    debug('Successfully allocated new resource (cur=%d, ac=%d, id=%s)', this.pool.count(), this.acquiring, getId(res));
+
+    this._makeAvailable(res);
+    this._checkReady();
+
+    // normally 'drain' is emitted when the pending requests queue is empty; pending requests
+    // are the primary source of acquiring new resources. the pool minimum can cause resources
+    // to be acquired with no pending requests, however. if pool.end() is called while resources
+    // are being acquired to fill the minimum, the 'drain' event will never get triggered because
+    // there were no requests pending. in this case, we want to trigger the cleanup routine that
+    // normally binds to 'drain'
+    if (this.ending && this.requests.length === 0 && this.acquiring === 0) {
+        this.emit('drain');
+        return;
+    }
+
+    // we've successfully acquired a resource, and we only get
+    // here if something wants it, so... do that
+    this._maybeAllocateResource();
+};
+
+// acquiring a new resource, or setting it up, failed
+Pool.prototype._allocationFailed = function (err) {
+    this.meters.increment('acquireFailures');
+    this.emit('acquireFailure', err);
+
+    debug('Couldn\'t allocate new resource: %s', err.message);
+
+    // throw an error if we haven't successfully allocated a resource within
+    // the alloted time
+    var now = new Date();
+    if (this.live === false && now - this.started >= this.bailAfter) {
+        debug('Destroying pool: unable to aquire a resource within %ds', this.bailAfter/1000);
+        this._settleReady(err);
+        this._destroyPool();
+        this.emit('error', err);
+        return;
+    }
+
+    // timed out allocations are dropped from the pool. this could leave us
+    // below the minimum threshold (try to acquire new resources), or without
+    // anything attempting to service a pending request (min=0)
+    // try to bring us up to the minimum and/or service requests, but don't spam
+    this._retryLater();
+};
+
+// sync again once the backoff delay for failed allocations has passed
+Pool.prototype._retryLater = function () {
+    this.retrying = true;
+    var timer = setTimeout(function () {
+        this.retrying = false;
+        this._sync();
+    }.bind(this), this.backoff.next());
+
+    // nobody is waiting on the retry when it's only to make up the minimum
+    if (this.requests.length === 0 && this.readyWaiters.length === 0) { unref(timer); }
+};
+
 // destroy the pool itself
 Pool.prototype._destroyPool = function () {
     this.destroyed = true;
+    this._settleReady(new Error('Pool was destroyed'));
     clearInterval(this.syncTimer);
     this.pool.forEach(function (value, key) {
         this.destroy(key);
     }.bind(this));
     this.pool.clear();
 
-    // requests is a deque, no forEach
     var req;
     while (( req = this.requests.shift() )) {
         req.reject(new Error('Pool was destroyed'));
     }
 
     this.acquiring = 0;
-    this.available.length = 0;
+    this.available.clear();
+    this.idle.clear();
+    this.unchecked.clear();
 };
 
 Pool._validNum = validNum;
+Pool._promised = promised;
+Pool._invoke = invoke;
+Pool._errorMatches = errorMatches;
 
 module.exports = Pool;
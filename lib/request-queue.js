@@ -0,0 +1,94 @@
+'use strict';
+
+var LinkedSet = require('./linked-set');
+
+// a queue of resource requests, ordered by priority (highest first), and first in, first out within each
+// priority level. it exposes the subset of the LinkedSet interface that the pool uses
+function RequestQueue() {
+    this.length = 0;
+    // the number of resources the queued requests ask for, which may be more than one each
+    this.resources = 0;
+
+    // priority levels with requests waiting, highest first
+    this.levels = [ ];
+    // priority level -> LinkedSet of requests
+    this.queues = { };
+}
+
+// add a request to the back of its priority level
+RequestQueue.prototype.push = function (req) {
+    this._queue(req.priority).push(req);
+    this.length++;
+    this.resources += req.count;
+};
+
+// add a request to the front of its priority level; used to put back a request that was taken off the queue
+RequestQueue.prototype.unshift = function (req) {
+    this._queue(req.priority).unshift(req);
+    this.length++;
+    this.resources += req.count;
+};
+
+// remove and return the first request of the highest priority level
+RequestQueue.prototype.shift = function () {
+    if (this.length === 0) { return void 0; }
+
+    var priority = this.levels[0],
+        queue = this.queues[priority],
+        req = queue.shift();
+
+    this.length--;
+    this.resources -= req.count;
+    if (queue.length === 0) {
+        this.levels.shift();
+        delete this.queues[priority];
+    }
+
+    return req;
+};
+
+// take a request out of the queue, wherever it is; returns false if it wasn't queued
+RequestQueue.prototype.remove = function (req) {
+    if (!this.queues.hasOwnProperty(req.priority)) { return false; }
+
+    var queue = this.queues[req.priority];
+    if (!queue.remove(req)) { return false; }
+
+    this.length--;
+    this.resources -= req.count;
+    if (queue.length === 0) {
+        this.levels.splice(this.levels.indexOf(req.priority), 1);
+        delete this.queues[req.priority];
+    }
+    return true;
+};
+
+RequestQueue.prototype.has = function (req) {
+    return this.queues.hasOwnProperty(req.priority) && this.queues[req.priority].has(req);
+};
+
+RequestQueue.prototype.peekFront = function () {
+    if (this.length === 0) { return void 0; }
+    return this.queues[this.levels[0]].peekFront();
+};
+
+// the number of requests queued at each priority level
+RequestQueue.prototype.counts = function () {
+    var counts = { };
+    this.levels.forEach(function (priority) {
+        counts[priority] = this.queues[priority].length;
+    }, this);
+    return counts;
+};
+
+RequestQueue.prototype._queue = function (priority) {
+    if (!this.queues.hasOwnProperty(priority)) {
+        var i = 0;
+        while (i < this.levels.length && this.levels[i] > priority) { i++; }
+        this.levels.splice(i, 0, priority);
+        this.queues[priority] = new LinkedSet();
+    }
+    return this.queues[priority];
+};
+
+module.exports = RequestQueue;
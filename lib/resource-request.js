@@ -7,7 +7,7 @@ var inherits = require('util').inherits,
 var _id = 0;
 
 // this has promisey semantics but can't really be replaced with a simple promise
-function ResourceRequest(timeout, callback) {
+function ResourceRequest(timeout, callback) { // jshint maxstatements: 19
     if (typeof timeout === 'function') {
         callback = timeout;
         timeout = Infinity;
@@ -23,6 +23,14 @@ function ResourceRequest(timeout, callback) {
     this.cb = callback;
     this.fulfilled = false;
     this.timer = null;
+    this.priority = 0;
+    this.stack = null;
+
+    // how many resources the request is for; it is resolved once the pool has reserved and handed over
+    // (held) every one of them
+    this.count = 1;
+    this.reserving = 0;
+    this.held = [ ];
     
     debug('New ResourceRequest (id=%s, timeout=%s)', this.id, timeout);
     
@@ -73,6 +81,7 @@ ResourceRequest.prototype.abort = function (msg) {
 };
 ResourceRequest.prototype._rejectTimeout = function () {
     debug('ResourceRequest: rejectTimeout (id=%s)', this.id);
+    this.emit('timeout');
     this.reject(new Error('ResourceRequest timed out'));
 };
 ResourceRequest.prototype._fulfill = function (err, res) {
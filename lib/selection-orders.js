@@ -0,0 +1,95 @@
+'use strict';
+
+var HashMap = require('hashmap');
+
+/* The order in which a pool hands out its idle resources, for the selectionOrder option. Each is a factory for
+ * an object that keeps the pool's LinkedSet of available resources in that order, so that the pool can always
+ * hand out the one at the front: `add` puts a resource that has become idle in its place, `restore` puts back
+ * one that was taken out for a while without being used (e.g. to be pinged) where it was, given a function for
+ * when each resource became idle, `taken` is told about a resource that has been taken from the front, and
+ * `forget` about a resource that has left the pool
+ */
+
+function noop() { }
+
+// insert res after the last of the available resources whose key is no greater than its own. resources are
+// usually put back close to the back, so the search starts there
+function insertSorted(available, res, key) {
+    var k = key(res),
+        after = available.findLast(function (item) { return key(item) <= k; });
+
+    if (after === void 0) { available.unshift(res); }
+    else { available.insertAfter(res, after); }
+}
+
+// insert res before the first of the available resources whose key is greater than its own, searching from the
+// front
+function insertSortedFromFront(available, res, key) {
+    var k = key(res),
+        before = available.find(function (item) { return key(item) > k; });
+
+    if (before === void 0) { available.push(res); }
+    else { available.insertBefore(res, before); }
+}
+
+// the most recently released resource first, so that any extra resources go idle and can be reaped
+exports.lifo = function () {
+    return {
+        add: function (available, res) { available.unshift(res); },
+        // the longest idle are at the back, and are the ones usually taken out to be pinged
+        restore: function (available, res, since) {
+            insertSorted(available, res, function (item) { return -since(item); });
+        },
+        taken: noop,
+        forget: noop
+    };
+};
+
+// the resource that has been idle for longest first, so that the load is spread over all of them
+exports.fifo = function () {
+    return {
+        add: function (available, res) { available.push(res); },
+        restore: function (available, res, since) { insertSortedFromFront(available, res, since); },
+        taken: noop,
+        forget: noop
+    };
+};
+
+// in turn, in the order the resources joined the pool; resources that are checked out when their turn comes
+// are skipped
+exports['round-robin'] = function () {
+    var seqs = new HashMap(), joined = 0, last = 0;
+
+    // the resources after the last one handed out come first, then the pool wraps around
+    function key(res) {
+        var seq = seqs.get(res);
+        return seq > last ? seq : seq + joined;
+    }
+
+    return {
+        add: function (available, res) {
+            if (!seqs.has(res)) { seqs.set(res, ++joined); }
+            insertSorted(available, res, key);
+        },
+        restore: function (available, res) { insertSorted(available, res, key); },
+        taken: function (res) { last = seqs.get(res); },
+        forget: function (res) { seqs.remove(res); }
+    };
+};
+
+// the resource that was handed out least recently first; resources that have never been handed out come first
+// of all, in the order they joined the pool
+exports.lru = function () {
+    var used = new HashMap(), clock = 0;
+
+    function key(res) {
+        return used.get(res) || 0;
+    }
+
+    return {
+        add: function (available, res) { insertSorted(available, res, key); },
+        restore: function (available, res) { insertSorted(available, res, key); },
+        taken: function (res) { used.set(res, ++clock); },
+        forget: function (res) { used.remove(res); }
+    };
+};
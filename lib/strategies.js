@@ -0,0 +1,99 @@
+'use strict';
+
+var HashMap = require('hashmap');
+
+/* Load balancing strategies for Cluster.acquire. Each is a factory for a selector, so that selectors
+ * can keep state per cluster. A selector is given the pools that are able to serve a request, as an array
+ * of { pool, stats } objects (stats is the result of pool.stats()), and returns the pool to use
+ */
+
+// resources checked out, plus requests waiting for one
+function outstanding(stats) {
+    return (stats.max - stats.available) + stats.queued;
+}
+
+function randomIndex(length) {
+    return Math.floor(Math.random() * length);
+}
+
+// the pool with the most idle capacity left over after serving its queue; ties go to the first such pool
+exports['most-available'] = function () {
+    return function (candidates) {
+        var best = null, bestScore = -Infinity;
+        candidates.forEach(function (candidate) {
+            var score = candidate.stats.available - candidate.stats.queued;
+            if (score > bestScore) {
+                best = candidate;
+                bestScore = score;
+            }
+        });
+        return best.pool;
+    };
+};
+
+exports['round-robin'] = function () {
+    var next = 0;
+    return function (candidates) {
+        var candidate = candidates[next % candidates.length];
+        next = (next + 1) % candidates.length;
+        return candidate.pool;
+    };
+};
+
+// smooth weighted round robin, as in nginx: each pool is chosen in proportion to its `weight` option, with
+// the choices spread out rather than made in runs
+exports['weighted-round-robin'] = function () {
+    var current = new HashMap();
+    return function (candidates) {
+        var best = null, total = 0;
+        candidates.forEach(function (candidate) {
+            var weight = candidate.pool.weight,
+                value = (current.get(candidate.pool) || 0) + weight;
+
+            current.set(candidate.pool, value);
+            total += weight;
+            if (best === null || value > current.get(best.pool)) { best = candidate; }
+        });
+        current.set(best.pool, current.get(best.pool) - total);
+        return best.pool;
+    };
+};
+
+// the pool with the fewest resources checked out and requests queued; ties are broken at random
+exports['least-outstanding'] = function () {
+    return function (candidates) {
+        var best = [ ], bestScore = Infinity;
+        candidates.forEach(function (candidate) {
+            var score = outstanding(candidate.stats);
+            if (score < bestScore) {
+                best = [ candidate ];
+                bestScore = score;
+            } else if (score === bestScore) {
+                best.push(candidate);
+            }
+        });
+        return best[randomIndex(best.length)].pool;
+    };
+};
+
+exports.random = function () {
+    return function (candidates) {
+        return candidates[randomIndex(candidates.length)].pool;
+    };
+};
+
+// pick two pools at random and use the one with fewer outstanding requests
+exports['power-of-two-choices'] = function () {
+    return function (candidates) {
+        if (candidates.length === 1) { return candidates[0].pool; }
+
+        var i = randomIndex(candidates.length),
+            j = randomIndex(candidates.length - 1);
+
+        // choose j from the remaining candidates, so that it differs from i
+        if (j >= i) { j++; }
+
+        var a = candidates[i], b = candidates[j];
+        return outstanding(a.stats) <= outstanding(b.stats) ? a.pool : b.pool;
+    };
+};
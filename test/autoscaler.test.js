@@ -0,0 +1,52 @@
+'use strict';
+
+require('should');
+
+var Autoscaler = require('../lib/autoscaler');
+
+describe('Autoscaler', function () {
+    var scaler;
+    beforeEach(function () {
+        scaler = new Autoscaler({
+            increase: 2,
+            decreaseFactor: 0.5,
+            queueWaitThreshold: 100,
+            acquireLatencyThreshold: 1000
+        });
+    });
+    // a snapshot of pool metrics; durations are given in milliseconds, as totals so far
+    function metrics(m) {
+        return {
+            acquireFailures: m.failures || 0,
+            acquireLatency: { sum: (m.latency || 0) / 1000, count: m.acquires || 0 },
+            queueWait: { sum: (m.wait || 0) / 1000, count: m.served || 0 },
+            queued: m.queued || 0
+        };
+    }
+
+    it('should leave the target alone when nothing is happening', function () {
+        scaler.update(metrics({ }), 5, 1, 10).should.equal(5);
+    });
+    it('should grow the target while requests are queued', function () {
+        scaler.update(metrics({ queued: 1 }), 5, 1, 10).should.equal(7);
+    });
+    it('should grow the target when requests waited too long on average', function () {
+        scaler.update(metrics({ served: 2, wait: 300 }), 5, 1, 10).should.equal(7);
+        // only what happened since the last update counts
+        scaler.update(metrics({ served: 4, wait: 310 }), 7, 1, 10).should.equal(7);
+    });
+    it('should not grow the target beyond max', function () {
+        scaler.update(metrics({ queued: 1 }), 9, 1, 10).should.equal(10);
+    });
+    it('should cut the target when acquiring fails', function () {
+        scaler.update(metrics({ failures: 1, queued: 3 }), 8, 1, 10).should.equal(4);
+        scaler.update(metrics({ failures: 1, queued: 3 }), 4, 1, 10).should.equal(6);
+    });
+    it('should cut the target when acquiring is slow on average', function () {
+        scaler.update(metrics({ acquires: 2, latency: 3000 }), 8, 1, 10).should.equal(4);
+    });
+    it('should not cut the target below min, or below 1', function () {
+        scaler.update(metrics({ failures: 1 }), 3, 2, 10).should.equal(2);
+        scaler.update(metrics({ failures: 2 }), 1, 0, 10).should.equal(1);
+    });
+});
@@ -0,0 +1,68 @@
+'use strict';
+
+require('should');
+
+var capabilities = require('../lib/capabilities');
+
+describe('capability expressions', function () {
+    // stand-ins for pools, by capability
+    var caps = {
+        read: ['a', 'b', 'c'],
+        write: ['c'],
+        replica: ['a', 'b'],
+        primary: ['c'],
+        'eu-west': ['a', 'c'],
+        hasOwnProperty: ['b'],
+        empty: [ ]
+    };
+    function resolve(expr) {
+        return capabilities.resolve(capabilities.parse(expr), caps);
+    }
+
+    it('should throw for invalid expressions', function () {
+        [ 5, null, { }, { oneOf: ['read'] }, { anyof: ['read'] }, { anyOf: ['read'], priority: 1 }, { anyOf: 'read' },
+          [ ], { firstOf: [ ] }, ['read', 5] ]
+        .forEach(function (expr) {
+            (function () {
+                capabilities.parse(expr);
+            }).should.throw(/Invalid capability expression/);
+        });
+    });
+    it('should resolve a capability to the pools that have it', function () {
+        resolve('replica').should.eql([ ['a', 'b'] ]);
+        resolve('empty').should.eql([ ]);
+        resolve('constructor').should.eql([ ]);
+        resolve('hasOwnProperty').should.eql([ ['b'] ]);
+    });
+    it('should resolve allOf to the pools with every capability', function () {
+        resolve(['read', 'eu-west']).should.eql([ ['a', 'c'] ]);
+        resolve({ allOf: ['replica', 'eu-west'] }).should.eql([ ['a'] ]);
+        resolve(['write', 'replica']).should.eql([ ]);
+    });
+    it('should resolve anyOf to the pools with any of the capabilities', function () {
+        resolve({ anyOf: ['write', 'replica'] }).should.eql([ ['c', 'a', 'b'] ]);
+    });
+    it('should resolve firstOf to tiers in order of preference', function () {
+        resolve({ firstOf: ['replica', 'primary'] }).should.eql([ ['a', 'b'], ['c'] ]);
+
+        // pools are only in the first tier they qualify for, and empty tiers are left out
+        resolve({ firstOf: ['empty', 'eu-west', 'read'] }).should.eql([ ['a', 'c'], ['b'] ]);
+    });
+    it('should keep preferences nested in other expressions', function () {
+        resolve(['eu-west', { firstOf: ['replica', 'primary'] }]).should.eql([ ['a'], ['c'] ]);
+        resolve({ anyOf: [{ firstOf: ['primary', 'replica'] }, 'eu-west'] }).should.eql([ ['c', 'a'], ['b'] ]);
+    });
+    it('should describe expressions', function () {
+        capabilities.describe(capabilities.parse(['read', { anyOf: ['a', 'b'] }, { firstOf: ['c'] }]))
+            .should.equal('read and (a or b) and c');
+        capabilities.describe(capabilities.parse({ firstOf: ['replica', 'primary'] }))
+            .should.equal('replica, else primary');
+    });
+    it('should explain why no pool satisfies an expression', function () {
+        capabilities.explain(capabilities.parse('foo'), caps).should.equal('foo');
+        capabilities.explain(capabilities.parse(['read', 'foo', 'empty']), caps)
+            .should.equal('read and foo and empty (no pools have: foo, empty)');
+        capabilities.explain(capabilities.parse(['write', 'replica']), caps)
+            .should.equal('write and replica (no pool has the capabilities in combination)');
+    });
+});
@@ -0,0 +1,79 @@
+'use strict';
+
+require('should');
+
+var CircuitBreaker = require('../lib/circuit-breaker');
+
+describe('CircuitBreaker', function () {
+    var breaker;
+    beforeEach(function () {
+        breaker = new CircuitBreaker({ failureThreshold: 3, resetTimeout: 50 });
+    });
+    function fail(n) {
+        while (n--) { breaker.failure(); }
+    }
+
+    it('should start closed and available', function () {
+        breaker.state.should.equal('closed');
+        breaker.isAvailable().should.be.true;
+        breaker.dispatch().should.be.false;
+    });
+    it('should open after failureThreshold consecutive failures', function () {
+        var opened = 0;
+        breaker.on('open', function () { opened++; });
+
+        fail(2);
+        breaker.isAvailable().should.be.true;
+        fail(1);
+        breaker.state.should.equal('open');
+        breaker.isAvailable().should.be.false;
+        opened.should.equal(1);
+
+        // further failures while open don't emit again
+        fail(3);
+        opened.should.equal(1);
+    });
+    it('should only count consecutive failures', function () {
+        fail(2);
+        breaker.success();
+        fail(2);
+        breaker.state.should.equal('closed');
+    });
+    it('should let a single probe through once resetTimeout has passed', function (done) {
+        fail(3);
+        setTimeout(function () {
+            breaker.isAvailable().should.be.true;
+            breaker.state.should.equal('half-open');
+            breaker.dispatch().should.be.true;
+            breaker.isAvailable().should.be.false;
+            done();
+        }, 60);
+    });
+    it('should close and emit when a probe succeeds', function (done) {
+        breaker.on('close', function () {
+            breaker.state.should.equal('closed');
+            breaker.failures.should.equal(0);
+            done();
+        });
+        fail(3);
+        setTimeout(function () {
+            breaker.isAvailable();
+            breaker.dispatch();
+            breaker.success();
+        }, 60);
+    });
+    it('should re-open without emitting when a probe fails', function (done) {
+        var opened = 0;
+        breaker.on('open', function () { opened++; });
+        fail(3);
+        setTimeout(function () {
+            breaker.isAvailable();
+            breaker.dispatch();
+            breaker.failure();
+            breaker.state.should.equal('open');
+            breaker.isAvailable().should.be.false;
+            opened.should.equal(1);
+            done();
+        }, 60);
+    });
+});
@@ -18,9 +18,12 @@ describe('Cluster', function () {
     it('Should instantiate with no arguments', function () {
         cluster = new Cluster();
     });
-    it('Should emit an error when no callback is given', function () {
+    it('Should return a promise when no callback is given', function (done) {
         cluster = new Cluster();
-        cluster.acquire.bind(cluster).should.throw(/Callback is required/);
+        cluster.acquire().then(null, function (err) {
+            err.should.match(/No pools available/);
+            done();
+        });
     });
     it('Should call back with an error when no pools are available', function (done) {
         cluster = new Cluster();
@@ -60,6 +63,118 @@ describe('Cluster', function () {
         
         cluster.acquire(done);
     });
+    it('Should resolve acquire, release and end promises', function (done) {
+        var pool1 = new Pool({
+            acquire: acquireFn('pool1'),
+            dispose: noop
+        });
+        cluster = new Cluster(pool1);
+
+        cluster.acquire().then(function (res) {
+            res.tag.should.equal('pool1');
+            return cluster.release(res);
+        }).then(function () {
+            return cluster.end();
+        }).then(done.bind(null, null), done);
+    });
+    it('Should not keep track of leases, which can be given back without the cluster', function (done) {
+        var pool1 = new Pool({
+            acquire: acquireFn('pool1'),
+            dispose: noop,
+            leases: true
+        });
+        cluster = new Cluster(pool1);
+
+        cluster.acquire(function (err, lease1) {
+            if (err) { return done(err); }
+            cluster.sources.count().should.equal(0);
+            lease1.release();
+
+            cluster.acquire(function (err, lease2) {
+                if (err) { return done(err); }
+                cluster.release(lease2, function (err) {
+                    (err === null).should.be.ok;
+                    pool1.stats().available.should.equal(10);
+                    done();
+                });
+            });
+        });
+    });
+    it('Should release resources borrowed with use()', function (done) {
+        var pool1 = new Pool({
+            acquire: acquireFn('pool1'),
+            dispose: noop,
+            capabilities: ['read']
+        });
+        cluster = new Cluster(pool1);
+
+        cluster.use('read', function (res) {
+            return res.tag;
+        }, function (err, tag) {
+            tag.should.equal('pool1');
+            pool1.stats().available.should.equal(10);
+            done(err);
+        });
+    });
+    it('Should remove resources from their pool when use() fails with a removeOn error', function (done) {
+        var pool1 = new Pool({
+            acquire: acquireFn('pool1'),
+            dispose: noop,
+            removeOn: TypeError
+        });
+        cluster = new Cluster(pool1);
+
+        cluster.use(function (res) {
+            throw new TypeError('foo');
+        }).then(null, function (err) {
+            err.should.be.an.instanceOf(TypeError);
+            pool1.stats().allocated.should.equal(0);
+            cluster.sources.count().should.equal(0);
+            done();
+        }).catch(done);
+    });
+    it('Should aggregate pool metrics, labelled by pool', function (done) {
+        var pool1 = new Pool({
+            acquire: acquireFn('pool1'),
+            dispose: noop,
+            name: 'primary'
+        }), pool2 = new Pool({
+            acquire: acquireFn('pool2'),
+            dispose: noop
+        });
+        cluster = new Cluster([pool1, pool2]);
+
+        cluster.acquire(function (err, res) {
+            var metrics = cluster.metrics();
+            Object.keys(metrics).sort().should.eql(['1', 'primary']);
+            (metrics.primary.queueWait.count + metrics[1].queueWait.count).should.equal(1);
+
+            var text = cluster.toPrometheus();
+            text.should.match(/^pool2_resources_allocated\{pool="primary"\} \d$/m);
+            text.should.match(/^pool2_resources_allocated\{pool="1"\} \d$/m);
+            text.match(/^# TYPE pool2_resources_allocated gauge$/mg).length.should.equal(1);
+
+            cluster.release(res);
+            done();
+        });
+    });
+    it('Should not take two pools with the same name', function () {
+        var pool1 = new Pool({ acquire: acquireFn('pool1'), dispose: noop, name: 'db' }),
+            pool2 = new Pool({ acquire: acquireFn('pool2'), dispose: noop, name: 'db' });
+        cluster = new Cluster(pool1);
+        (function () {
+            cluster.addPool(pool2);
+        }).should.throw(/A pool named db is already in the cluster/);
+        cluster.pools.should.eql([ pool1 ]);
+        pool2._destroyPool();
+    });
+    it('Should call back with an error on releasing an invalid resource', function (done) {
+        cluster = new Cluster();
+        cluster.release('foo', function (err) {
+            err.message.should.match(/Unknown resource/);
+            done();
+        });
+    });
     it('Should error on releasing an invalid resource', function (done) {
         var pool1 = new Pool({
             acquire: acquireFn('pool1'),
@@ -92,6 +207,401 @@ describe('Cluster', function () {
             });
         });
     });
+    it('Should throw with an unknown strategy', function () {
+        (function () {
+            cluster = new Cluster([ ], { strategy: 'foo' });
+        }).should.throw(/Unknown strategy: foo/);
+    });
+    it('Should select pools using the configured strategy', function (done) {
+        var pool1 = new Pool({
+            acquire: acquireFn('pool1'),
+            dispose: noop
+        }), pool2 = new Pool({
+            acquire: acquireFn('pool2'),
+            dispose: noop
+        });
+        cluster = new Cluster([pool1, pool2], { strategy: 'round-robin' });
+
+        var tags = [ ];
+        cluster.acquire(function (err, res1) {
+            tags.push(res1.tag);
+            cluster.release(res1);
+            cluster.acquire(function (err, res2) {
+                tags.push(res2.tag);
+                cluster.release(res2);
+                cluster.acquire(function (err, res3) {
+                    tags.push(res3.tag);
+                    cluster.release(res3);
+                    tags.should.eql(['pool1', 'pool2', 'pool1']);
+                    done();
+                });
+            });
+        });
+    });
+    it('Should select pools using a custom selector', function (done) {
+        var pool1 = new Pool({
+            acquire: acquireFn('pool1'),
+            dispose: noop,
+            max: 3
+        }), pool2 = new Pool({
+            acquire: acquireFn('pool2'),
+            dispose: noop,
+            max: 5
+        });
+        cluster = new Cluster([pool1, pool2], {
+            strategy: function (candidates) {
+                candidates.length.should.equal(2);
+                candidates[0].pool.should.equal(pool1);
+                candidates[0].stats.max.should.equal(3);
+                candidates[1].stats.max.should.equal(5);
+                return candidates[1].pool;
+            }
+        });
+
+        cluster.acquire(function (err, res) {
+            res.tag.should.equal('pool2');
+            cluster.release(res);
+            done();
+        });
+    });
+    it('Should call back with an error if a custom selector chooses no pool', function (done) {
+        var pool1 = new Pool({
+            acquire: acquireFn('pool1'),
+            dispose: noop
+        });
+        cluster = new Cluster(pool1, {
+            strategy: function () { return null; }
+        });
+
+        cluster.acquire(function (err) {
+            err.message.should.match(/No pools available/);
+            done();
+        });
+    });
+    it('Should throw with an invalid circuitBreaker option', function () {
+        (function () {
+            cluster = new Cluster([ ], { circuitBreaker: 'foo' });
+        }).should.throw(/circuitBreaker must be/);
+        (function () {
+            cluster = new Cluster([ ], { circuitBreaker: { failureThreshold: 0 } });
+        }).should.throw(/failureThreshold cannot be 0/);
+    });
+    it('Should not use circuit breakers when circuitBreaker is false', function () {
+        var pool1 = new Pool({
+            acquire: acquireFn('pool1'),
+            dispose: noop
+        });
+        cluster = new Cluster(pool1, { circuitBreaker: false });
+        cluster.breakers.count().should.equal(0);
+    });
+    it('Should take a failing pool out of selection until it recovers', function (done) {
+        var down = false;
+        var pool1 = new Pool({
+            acquire: function (cb) {
+                if (down) { cb(new Error('down')); }
+                else { acquireFn('pool1')(cb); }
+            },
+            ping: function (res, cb) { cb(down ? new Error('down') : null); },
+            dispose: noop
+        }), pool2 = new Pool({
+            acquire: acquireFn('pool2'),
+            dispose: noop
+        });
+        cluster = new Cluster([pool1, pool2], {
+            // prefer pool1 whenever it's available
+            strategy: function (candidates) { return candidates[0].pool; },
+            circuitBreaker: { failureThreshold: 2, resetTimeout: 1000 }
+        });
+
+        cluster.on('poolDown', function (pool) {
+            pool.should.equal(pool1);
+            cluster.acquire(function (err, res) {
+                res.tag.should.equal('pool2');
+                cluster.release(res);
+                down = false;
+            });
+        });
+        cluster.on('poolUp', function (pool) {
+            pool.should.equal(pool1);
+        });
+
+        cluster.acquire(function (err, res) {
+            res.tag.should.equal('pool1');
+            cluster.release(res);
+            down = true;
+
+            // the idle resource fails its ping, and so does acquiring a replacement; this request waits
+            // in pool1 until it comes back up
+            cluster.acquire(function (err, res) {
+                res.tag.should.equal('pool1');
+                cluster.breakers.get(pool1).state.should.equal('closed');
+                cluster.release(res);
+                done();
+            });
+        });
+    });
+    it('Should let a probe through to a tripped pool after resetTimeout', function (done) {
+        var pool1 = new Pool({
+            acquire: acquireFn('pool1'),
+            dispose: noop
+        }), pool2 = new Pool({
+            acquire: acquireFn('pool2'),
+            dispose: noop
+        });
+        cluster = new Cluster([pool1, pool2], {
+            strategy: function (candidates) { return candidates[0].pool; },
+            circuitBreaker: { failureThreshold: 1, resetTimeout: 50 }
+        });
+
+        var breaker = cluster.breakers.get(pool1);
+        breaker.failure();
+
+        cluster.acquire(function (err, res) {
+            res.tag.should.equal('pool2');
+            cluster.release(res);
+
+            setTimeout(function () {
+                cluster.once('poolUp', function () {
+                    breaker.state.should.equal('closed');
+                });
+                cluster.acquire(function (err, res) {
+                    res.tag.should.equal('pool1');
+                    breaker.state.should.equal('closed');
+                    cluster.release(res);
+                    done();
+                });
+            }, 60);
+        });
+    });
+    it('Should throw with invalid failover options', function () {
+        (function () {
+            cluster = new Cluster([ ], { maxAttempts: 0 });
+        }).should.throw(/maxAttempts cannot be 0/);
+        (function () {
+            cluster = new Cluster([ ], { retryOn: 'foo' });
+        }).should.throw(/retryOn must be a function/);
+    });
+    describe('ready', function () {
+        function slowPool(delay, opts) {
+            opts = opts || { };
+            opts.acquire = function (cb) { setTimeout(acquireFn('slow' + delay).bind(null, cb), delay); };
+            opts.dispose = noop;
+            opts.min = 1;
+            return new Pool(opts);
+        }
+        function failingPool() {
+            return new Pool({
+                acquire: function (cb) { cb(new Error('refused')); },
+                dispose: noop,
+                min: 1,
+                bailAfter: 30,
+                name: 'broken'
+            });
+        }
+
+        it('Should wait for all pools by default, and emit ready', function (done) {
+            var pool1 = slowPool(10), pool2 = slowPool(40), emitted = false;
+            cluster = new Cluster([pool1, pool2]);
+            cluster.on('ready', function () { emitted = true; });
+            cluster.ready(function (err) {
+                (err === null).should.be.ok;
+                pool1.isReady.should.equal(true);
+                pool2.isReady.should.equal(true);
+                setImmediate(function () {
+                    emitted.should.equal(true);
+                    done();
+                });
+            });
+        });
+        it('Should resolve once a quorum of pools is ready', function (done) {
+            var pool1 = slowPool(10), pool2 = slowPool(500);
+            cluster = new Cluster([pool1, pool2]);
+            cluster.ready({ quorum: 1 }).then(function () {
+                pool1.isReady.should.equal(true);
+                pool2.isReady.should.equal(false);
+                done();
+            }, done);
+        });
+        it('Should fail once the quorum cannot be reached, listing what went wrong', function (done) {
+            var pool1 = slowPool(10), pool2 = failingPool();
+            cluster = new Cluster([pool1, pool2]);
+            cluster.on('error', function () { });
+            cluster.ready(function (err) {
+                err.message.should.match(/^Cluster.ready\(\): Not enough pools became ready \(broken: /);
+                err.failures.length.should.equal(1);
+                err.failures[0].pool.should.equal(pool2);
+                done();
+            });
+        });
+        it('Should still reach a quorum when some pools fail', function (done) {
+            var pool1 = slowPool(10), pool2 = failingPool();
+            cluster = new Cluster([pool1, pool2]);
+            cluster.on('error', function () { });
+            cluster.ready({ quorum: 1 }, done);
+        });
+        it('Should reject an invalid quorum', function (done) {
+            cluster = new Cluster([slowPool(10)]);
+            cluster.ready({ quorum: 2 }, function (err) {
+                err.message.should.match(/quorum cannot be greater than the number of pools/);
+                cluster.ready({ quorum: -1 }, function (err) {
+                    err.message.should.match(/must be/);
+                    done();
+                });
+            });
+        });
+        it('Should emit ready for pools that were ready before they were added', function (done) {
+            var pool1 = slowPool(0);
+            pool1.ready(function () {
+                cluster = new Cluster([pool1]);
+                cluster.on('ready', done);
+            });
+        });
+    });
+    describe('failover', function () {
+        var pool1, pool2, pool3;
+        beforeEach(function () {
+            pool1 = new Pool({ acquire: acquireFn('pool1'), dispose: noop, name: 'primary' });
+            pool2 = new Pool({ acquire: acquireFn('pool2'), dispose: noop });
+            pool3 = new Pool({ acquire: acquireFn('pool3'), dispose: noop, capabilities: ['write'] });
+        });
+        function inOrder(candidates) { return candidates[0].pool; }
+
+        it('Should pass errors straight through by default', function (done) {
+            cluster = new Cluster([pool1, pool2], { strategy: inOrder });
+            pool1.end(function () {
+                cluster.acquire(function (err) {
+                    err.message.should.equal('Pool is ending');
+                    done();
+                });
+            });
+        });
+        it('Should retry on another pool', function (done) {
+            cluster = new Cluster([pool1, pool2], { strategy: inOrder, maxAttempts: 2 });
+            pool1.end(function () {
+                cluster.acquire(function (err, res) {
+                    res.tag.should.equal('pool2');
+                    cluster.release(res);
+                    done();
+                });
+            });
+        });
+        it('Should only retry on pools with the requested capability', function (done) {
+            pool2.capabilities = ['write'];
+            cluster = new Cluster([pool1, pool2, pool3], { strategy: inOrder, maxAttempts: 3 });
+            pool2.end(function () {
+                cluster.acquire('write', function (err, res) {
+                    res.tag.should.equal('pool3');
+                    cluster.release(res);
+                    done();
+                });
+            });
+        });
+        it('Should not retry errors that retryOn rejects', function (done) {
+            cluster = new Cluster([pool1, pool2], {
+                strategy: inOrder,
+                maxAttempts: 2,
+                retryOn: function (err) { return /timed out/.test(err.message); }
+            });
+            pool1.end(function () {
+                cluster.acquire(function (err) {
+                    err.message.should.equal('Pool is ending');
+                    done();
+                });
+            });
+        });
+        it('Should stop after maxAttempts and list what was tried on each pool', function (done) {
+            cluster = new Cluster([pool1, pool2, pool3], { strategy: inOrder, maxAttempts: 2 });
+            pool1.end(function () {
+                pool2.end(function () {
+                    cluster.acquire(function (err) {
+                        err.message.should.equal('Cluster.acquire(): All attempts failed ' +
+                            '(primary: Pool is ending; 1: Pool is ending)');
+                        err.attempts.map(function (attempt) { return attempt.pool; }).should.eql([pool1, pool2]);
+                        done();
+                    });
+                });
+            });
+        });
+        it('Should list what was tried when it runs out of pools', function (done) {
+            cluster = new Cluster([pool1, pool2], { strategy: inOrder, maxAttempts: 5 });
+            pool1.end(function () {
+                pool2.end(function () {
+                    cluster.acquire(function (err) {
+                        err.message.should.match(/All attempts failed/);
+                        err.attempts.length.should.equal(2);
+                        done();
+                    });
+                });
+            });
+        });
+    });
+    it('Should accept an options object with a capability and options for pool.acquire', function (done) {
+        var pool1 = new Pool({
+            acquire: acquireFn('pool1'),
+            dispose: noop
+        }), pool2 = new Pool({
+            acquire: acquireFn('pool2'),
+            dispose: noop,
+            capabilities: ['write']
+        });
+        cluster = new Cluster([pool1, pool2]);
+
+        cluster.acquire({ capability: 'write', priority: 5 }, function (err, res) {
+            res.tag.should.equal('pool2');
+            cluster.release(res);
+            done();
+        });
+    });
+    it('Should not fail over requests that were aborted', function (done) {
+        var listeners = [ ], signal = {
+            aborted: false,
+            addEventListener: function (type, fn) { listeners.push(fn); },
+            removeEventListener: function () { }
+        };
+        var pool1 = new Pool({
+            acquire: function () { },
+            dispose: noop
+        }), pool2 = new Pool({
+            acquire: acquireFn('pool2'),
+            dispose: noop
+        });
+        cluster = new Cluster([pool1, pool2], {
+            strategy: function (candidates) { return candidates[0].pool; },
+            maxAttempts: 2
+        });
+
+        cluster.acquire({ signal: signal }, function (err, res) {
+            err.message.should.match(/ResourceRequest aborted/);
+            pool2.stats().allocated.should.equal(0);
+            done();
+        });
+        signal.aborted = true;
+        listeners.forEach(function (fn) { fn(); });
+    });
+    it('Should skip paused pools', function (done) {
+        var pool1 = new Pool({
+            acquire: acquireFn('pool1'),
+            dispose: noop
+        }), pool2 = new Pool({
+            acquire: acquireFn('pool2'),
+            dispose: noop
+        });
+        cluster = new Cluster([pool1, pool2], {
+            strategy: function (candidates) { return candidates[0].pool; }
+        });
+
+        pool1.pause();
+        cluster.acquire(function (err, res) {
+            res.tag.should.equal('pool2');
+            cluster.release(res);
+
+            pool2.pause();
+            cluster.acquire(function (err) {
+                err.message.should.match(/No pools available/);
+                done();
+            });
+        });
+    });
     it('Should error when requested capability is unavailable', function (done) {
         var pool1 = new Pool({
             acquire: acquireFn('pool1'),
@@ -155,6 +665,102 @@ describe('Cluster', function () {
             });
         });
     });
+    describe('capability expressions', function () {
+        var pool1, pool2, pool3, seen;
+        beforeEach(function () {
+            pool1 = new Pool({ acquire: acquireFn('pool1'), dispose: noop, capabilities: ['read', 'eu-west', 'replica'] });
+            pool2 = new Pool({ acquire: acquireFn('pool2'), dispose: noop, capabilities: ['read', 'us-east', 'replica'] });
+            pool3 = new Pool({ acquire: acquireFn('pool3'), dispose: noop, capabilities: ['read', 'write', 'eu-west', 'primary'] });
+            seen = null;
+        });
+        // a strategy that records which pools it was offered
+        function recording(candidates) {
+            seen = candidates.map(function (candidate) { return candidate.pool; });
+            return candidates[0].pool;
+        }
+
+        it('Should only use pools with all the capabilities in an array', function (done) {
+            cluster = new Cluster([pool1, pool2, pool3], { strategy: recording });
+            cluster.acquire(['read', 'eu-west'], function (err, res) {
+                if (err) { return done(err); }
+                seen.should.eql([pool1, pool3]);
+                cluster.release(res);
+                done();
+            });
+        });
+        it('Should use pools with any of the capabilities in anyOf', function (done) {
+            cluster = new Cluster([pool1, pool2, pool3], { strategy: recording });
+            cluster.acquire({ capability: { anyOf: ['us-east', 'write'] }, priority: 1 }, function (err, res) {
+                if (err) { return done(err); }
+                seen.should.eql([pool2, pool3]);
+                cluster.release(res);
+                done();
+            });
+        });
+        it('Should fall back to the next expression in firstOf when no pool matching the first can be used', function (done) {
+            cluster = new Cluster([pool1, pool2, pool3], { strategy: recording });
+            cluster.acquire({ firstOf: ['replica', 'primary'] }, function (err, res) {
+                if (err) { return done(err); }
+                seen.should.eql([pool1, pool2]);
+                cluster.release(res);
+
+                pool1.pause();
+                pool2.pause();
+                cluster.acquire({ firstOf: ['replica', 'primary'] }, function (err, res) {
+                    if (err) { return done(err); }
+                    res.tag.should.equal('pool3');
+                    cluster.release(res);
+                    done();
+                });
+            });
+        });
+        it('Should fail over to the next expression in firstOf', function (done) {
+            cluster = new Cluster([pool1, pool3], { maxAttempts: 2 });
+            pool1.end(function () {
+                cluster.acquire(['eu-west', { firstOf: ['replica', 'primary'] }], function (err, res) {
+                    if (err) { return done(err); }
+                    res.tag.should.equal('pool3');
+                    cluster.release(res);
+                    done();
+                });
+            });
+        });
+        it('Should explain which capabilities no pool has', function (done) {
+            cluster = new Cluster([pool1, pool2, pool3]);
+            cluster.acquire(['read', { anyOf: ['asia', 'africa'] }], function (err) {
+                err.message.should.equal('Cluster.acquire(): No pools can fulfil capability: ' +
+                    'read and (asia or africa) (no pools have: asia, africa)');
+
+                cluster.acquire(['write', 'replica'], function (err) {
+                    err.message.should.equal('Cluster.acquire(): No pools can fulfil capability: ' +
+                        'write and replica (no pool has the capabilities in combination)');
+                    done();
+                });
+            });
+        });
+        it('Should call back with an error for an invalid expression', function (done) {
+            cluster = new Cluster([pool1, pool2, pool3]);
+            cluster.acquire({ capability: { oneOf: ['read'] } }, function (err) {
+                err.message.should.match(/^Cluster.acquire\(\): Invalid capability expression/);
+
+                cluster.acquire([], function (err) {
+                    err.message.should.match(/allOf must be given at least one capability/);
+                    done();
+                });
+            });
+        });
+        it('Should not take a mistyped expression for an options object', function (done) {
+            cluster = new Cluster([pool1, pool2, pool3]);
+            cluster.acquire({ anyof: ['read'] }, function (err) {
+                err.message.should.match(/^Cluster.acquire\(\): Invalid capability expression/);
+
+                cluster.acquire({ anyOf: ['read'], priority: 1 }, function (err) {
+                    err.message.should.match(/^Cluster.acquire\(\): Invalid capability expression/);
+                    done();
+                });
+            });
+        });
+    });
     it('Should error if all pools are full', function (done) {
         var pool1 = new Pool({
             acquire: acquireFn('pool1'),
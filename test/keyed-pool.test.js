@@ -0,0 +1,452 @@
+'use strict';
+
+require('should');
+
+var Pool = require('..'),
+    KeyedPool = Pool.KeyedPool;
+
+describe('KeyedPool', function () {
+    var _seq = 0, acquired, disposed;
+    function acquire(key, cb) {
+        var res = { seq: _seq++, key: key };
+        acquired.push(res);
+        setImmediate(cb, null, res);
+    }
+    function dispose(res, cb) {
+        disposed.push(res);
+        cb();
+    }
+
+    var keyed;
+    beforeEach(function () {
+        acquired = [ ];
+        disposed = [ ];
+    });
+    afterEach(function () {
+        if (keyed && !keyed.ended) { keyed.end(); }
+        keyed = null;
+    });
+
+    it('should require an acquire function', function () {
+        (function () {
+            keyed = new KeyedPool({ dispose: dispose });
+        }).should.throw(/opts.acquire must be a function/);
+    });
+    it('should validate its own options', function () {
+        [ 'maxTotal', 'keyIdleTimeout' ].forEach(function (name) {
+            [ 0, -1, 1.5, 'foo' ].forEach(function (value) {
+                var opts = { acquire: acquire, dispose: dispose };
+                opts[name] = value;
+                (function () {
+                    keyed = new KeyedPool(opts);
+                }).should.throw(/must be|cannot be/);
+            });
+        });
+    });
+    it('should call back with an error if a key\'s pool cannot be created', function (done) {
+        keyed = new KeyedPool({ acquire: acquire, dispose: dispose, max: -1 });
+        keyed.acquire('a', function (err) {
+            err.should.match(/must be a positive integer/);
+            done();
+        });
+    });
+    it('should create a pool for each key, passing the key to acquire', function (done) {
+        keyed = new KeyedPool({ acquire: acquire, dispose: dispose });
+        keyed.acquire('a', function (err, a) {
+            if (err) { return done(err); }
+            a.key.should.equal('a');
+
+            keyed.acquire('b').then(function (b) {
+                b.key.should.equal('b');
+                keyed.pools.count().should.equal(2);
+                keyed.pools.get('a').name.should.equal('a');
+
+                keyed.release(a);
+                keyed.release(b);
+                done();
+            }).catch(done);
+        });
+    });
+    it('should hand released resources out again for the same key', function (done) {
+        keyed = new KeyedPool({ acquire: acquire, dispose: dispose });
+        keyed.acquire('a', function (err, res) {
+            if (err) { return done(err); }
+            keyed.release(res);
+
+            keyed.acquire('a', function (err, again) {
+                if (err) { return done(err); }
+                again.should.equal(res);
+                acquired.length.should.equal(1);
+                keyed.release(again);
+                done();
+            });
+        });
+    });
+    it('should call back with an error on releasing a resource it did not hand out', function (done) {
+        keyed = new KeyedPool({ acquire: acquire, dispose: dispose });
+        keyed.release({ }, function (err) {
+            err.message.should.match(/KeyedPool.release\(\): Resource not acquired from this pool/);
+            done();
+        });
+    });
+    it('should emit an error on releasing, removing or destroying a resource it did not hand out', function (done) {
+        keyed = new KeyedPool({ acquire: acquire, dispose: dispose });
+        var errors = [ ];
+        keyed.on('error', function (err) { errors.push(err.message); });
+
+        keyed.release({ }).catch(function (err) {
+            err.message.should.match(/KeyedPool.release\(\)/);
+            keyed.remove({ });
+            keyed.destroy({ });
+            errors.length.should.equal(3);
+            errors[1].should.match(/KeyedPool.remove\(\)/);
+            errors[2].should.match(/KeyedPool.destroy\(\)/);
+            done();
+        }).catch(done);
+    });
+    it('should not keep track of leases, which can be given back without the keyed pool', function (done) {
+        keyed = new KeyedPool({ acquire: acquire, dispose: dispose, leases: true });
+        keyed.acquire('a', function (err, lease) {
+            if (err) { return done(err); }
+            keyed.sources.count().should.equal(0);
+            lease.release();
+
+            keyed.acquire('a', function (err, lease) {
+                if (err) { return done(err); }
+                keyed.release(lease, done);
+            });
+        });
+    });
+    it('should apply max to each key', function (done) {
+        keyed = new KeyedPool({ acquire: acquire, dispose: dispose, max: 1 });
+        keyed.acquire('a', function (err, a) {
+            if (err) { return done(err); }
+
+            var second = false;
+            keyed.acquire('a', function (err, res) {
+                if (err) { return done(err); }
+                second = true;
+                res.should.equal(a);
+                keyed.release(res);
+                done();
+            });
+
+            // other keys are not held up
+            keyed.acquire('b', function (err, b) {
+                if (err) { return done(err); }
+                second.should.equal(false);
+                keyed.stats().keys.a.queued.should.equal(1);
+                keyed.release(b);
+                keyed.release(a);
+            });
+        });
+    });
+    it('should wait for room when at maxTotal', function (done) {
+        keyed = new KeyedPool({ acquire: acquire, dispose: dispose, maxTotal: 2 });
+        keyed.acquire('a', function (err, a) {
+            if (err) { return done(err); }
+            keyed.acquire('b', function (err, b) {
+                if (err) { return done(err); }
+
+                keyed.acquire('c', function (err, c) {
+                    if (err) { return done(err); }
+                    c.key.should.equal('c');
+                    disposed.should.eql([ b ]);
+                    keyed.release(c);
+                    keyed.release(a);
+                    done();
+                });
+
+                setTimeout(function () {
+                    acquired.length.should.equal(2);
+                    keyed.stats().waiting.should.equal(1);
+                    keyed.remove(b);
+                }, 20);
+            });
+        });
+    });
+    it('should remove the longest idle resource of another key to make room', function (done) {
+        keyed = new KeyedPool({ acquire: acquire, dispose: dispose, maxTotal: 2 });
+        keyed.acquire('a', function (err, a) {
+            if (err) { return done(err); }
+            keyed.acquire('b', function (err, b) {
+                if (err) { return done(err); }
+                keyed.release(a);
+                setTimeout(function () {
+                    keyed.release(b);
+
+                    keyed.acquire('c', function (err, c) {
+                        if (err) { return done(err); }
+                        disposed.should.eql([ a ]);
+                        keyed.stats().allocated.should.equal(2);
+                        keyed.release(c);
+                        done();
+                    });
+                }, 5);
+            });
+        });
+    });
+    it('should not remove resources that a key\'s minimum needs', function (done) {
+        keyed = new KeyedPool({ acquire: acquire, dispose: dispose, maxTotal: 1, min: 1 });
+        keyed.acquire('a', function (err, a) {
+            if (err) { return done(err); }
+            keyed.release(a);
+
+            keyed.acquire('b', function () { });
+            setTimeout(function () {
+                disposed.length.should.equal(0);
+                keyed.stats().waiting.should.equal(1);
+                done();
+            }, 20);
+        });
+    });
+    it('should make room when a resource of another key is released', function (done) {
+        keyed = new KeyedPool({ acquire: acquire, dispose: dispose, maxTotal: 1, acquireTimeout: 10 });
+        keyed.acquire('a', function (err, a) {
+            if (err) { return done(err); }
+
+            // waiting for room doesn't count against acquireTimeout
+            keyed.acquire('b', function (err, b) {
+                if (err) { return done(err); }
+                disposed.should.eql([ a ]);
+                keyed.release(b);
+                done();
+            });
+            setTimeout(function () {
+                keyed.stats().waiting.should.equal(1);
+                keyed.release(a);
+            }, 30);
+        });
+    });
+    it('should time out the acquire once it has been given room', function (done) {
+        var late = null;
+        keyed = new KeyedPool({
+            acquire: function (key, cb) {
+                if (key === 'a') { acquire(key, cb); return; }
+                // calls back too late
+                setTimeout(function () {
+                    late = { key: key };
+                    cb(null, late);
+                }, 30);
+            },
+            dispose: dispose,
+            maxTotal: 1,
+            acquireTimeout: 10
+        });
+        keyed.acquire('a', function (err, a) {
+            if (err) { return done(err); }
+
+            keyed.on('error', function (err) {
+                err.message.should.match(/Timed out acquiring resource/);
+                err.key.should.equal('b');
+                keyed.pools.get('b').metrics().acquireTimeouts.should.equal(1);
+
+                // the late resource is disposed of
+                setTimeout(function () {
+                    disposed.should.eql([ a, late ]);
+                    done();
+                }, 40);
+            });
+            keyed.acquire('b', function () { });
+            setTimeout(function () { keyed.release(a); }, 20);
+        });
+    });
+    it('should not count the time spent waiting for room against bailAfter', function (done) {
+        var failed = false;
+        keyed = new KeyedPool({
+            acquire: function (key, cb) {
+                if (key === 'b' && !failed) {
+                    failed = true;
+                    setImmediate(cb, new Error('refused'));
+                    return;
+                }
+                acquire(key, cb);
+            },
+            dispose: dispose,
+            maxTotal: 1,
+            bailAfter: 20
+        });
+        keyed.on('error', done);
+        keyed.acquire('a', function (err, a) {
+            if (err) { return done(err); }
+
+            keyed.acquire('b', function (err, b) {
+                if (err) { return done(err); }
+                failed.should.equal(true);
+                keyed.release(b);
+                done();
+            });
+            setTimeout(function () { keyed.release(a); }, 40);
+        });
+    });
+    it('should wait for a resource removed to make room to be disposed of', function (done) {
+        var live = 0, most = 0;
+        keyed = new KeyedPool({
+            acquire: function (key, cb) {
+                most = Math.max(most, ++live);
+                acquire(key, cb);
+            },
+            dispose: function (res, cb) {
+                disposed.push(res);
+                setTimeout(function () {
+                    live--;
+                    cb();
+                }, 50);
+            },
+            maxTotal: 1
+        });
+        keyed.acquire('a', function (err, a) {
+            if (err) { return done(err); }
+            keyed.release(a);
+
+            keyed.acquire('b', function (err, b) {
+                if (err) { return done(err); }
+                disposed.should.eql([ a ]);
+                most.should.equal(1);
+                keyed.release(b);
+                done();
+            });
+            setTimeout(function () {
+                acquired.length.should.equal(1);
+                keyed._total().should.equal(1);
+            }, 20);
+        });
+    });
+    it('should count resources that are being disposed of against maxTotal', function (done) {
+        keyed = new KeyedPool({
+            acquire: acquire,
+            dispose: function (res, cb) {
+                disposed.push(res);
+                setTimeout(cb, 20);
+            },
+            maxTotal: 1
+        });
+        keyed.acquire('a', function (err, a) {
+            if (err) { return done(err); }
+            keyed.remove(a);
+
+            keyed.acquire('b', function (err, b) {
+                if (err) { return done(err); }
+                keyed.release(b);
+                done();
+            });
+            setTimeout(function () {
+                disposed.should.eql([ a ]);
+                acquired.length.should.equal(1);
+                keyed.stats().waiting.should.equal(1);
+            }, 10);
+        });
+    });
+    it('should replace a key\'s pool that has been destroyed', function (done) {
+        var fail = true;
+        keyed = new KeyedPool({
+            acquire: function (key, cb) {
+                if (fail) { cb(new Error('refused')); }
+                else { acquire(key, cb); }
+            },
+            dispose: dispose
+        });
+        keyed.on('error', function () {
+            var destroyed = keyed.pools.get('a');
+            fail = false;
+            keyed.acquire('a', function (err, res) {
+                if (err) { return done(err); }
+                keyed.pools.get('a').should.not.equal(destroyed);
+                keyed.release(res);
+                done();
+            });
+        });
+        keyed.acquire('a', function () { });
+    });
+    it('should evict keys that have been idle for keyIdleTimeout', function (done) {
+        keyed = new KeyedPool({ acquire: acquire, dispose: dispose, keyIdleTimeout: 10 });
+        keyed.on('evict', function (key) {
+            key.should.equal('a');
+            keyed.pools.has('a').should.equal(false);
+            setImmediate(function () {
+                disposed.length.should.equal(1);
+                done();
+            });
+        });
+        keyed.acquire('a', function (err, res) {
+            if (err) { return done(err); }
+            keyed.release(res);
+        });
+    });
+    it('should not evict keys that are used again', function (done) {
+        keyed = new KeyedPool({ acquire: acquire, dispose: dispose, keyIdleTimeout: 20 });
+        keyed.on('evict', function () { done(new Error('evicted')); });
+        keyed.acquire('a', function (err, res) {
+            if (err) { return done(err); }
+            keyed.release(res);
+
+            setTimeout(function () {
+                keyed.acquire('a', function (err, res) {
+                    if (err) { return done(err); }
+                    setTimeout(function () {
+                        keyed.pools.has('a').should.equal(true);
+                        keyed.release(res);
+                        keyed.removeAllListeners('evict');
+                        done();
+                    }, 30);
+                });
+            }, 10);
+        });
+    });
+    it('should break stats down by key', function (done) {
+        keyed = new KeyedPool({ acquire: acquire, dispose: dispose, maxTotal: 5, max: 2 });
+        keyed.acquire('a', function (err, a) {
+            if (err) { return done(err); }
+            keyed.acquire('b', function (err, b) {
+                if (err) { return done(err); }
+                keyed.release(b);
+
+                var stats = keyed.stats();
+                stats.maxTotal.should.equal(5);
+                stats.allocated.should.equal(2);
+                stats.queued.should.equal(0);
+                Object.keys(stats.keys).sort().should.eql([ 'a', 'b' ]);
+                stats.keys.a.allocated.should.equal(1);
+                stats.keys.a.available.should.equal(1);
+                stats.keys.b.available.should.equal(2);
+                keyed.release(a);
+                done();
+            });
+        });
+    });
+    it('should re-emit errors from the key\'s pools', function (done) {
+        keyed = new KeyedPool({
+            acquire: function (key, cb) { cb(new Error('refused')); },
+            dispose: dispose,
+            bailAfter: 1
+        });
+        keyed.on('error', function (err) {
+            err.key.should.equal('a');
+            err.source.should.equal(keyed.pools.get('a'));
+            done();
+        });
+        keyed.acquire('a', function () { });
+    });
+    it('should end every key\'s pool', function (done) {
+        keyed = new KeyedPool({ acquire: acquire, dispose: dispose });
+        keyed.acquire('a', function (err, a) {
+            if (err) { return done(err); }
+            keyed.release(a);
+            keyed.acquire('b', function (err, b) {
+                if (err) { return done(err); }
+                keyed.release(b);
+
+                keyed.end(function (err) {
+                    (err === null).should.be.ok;
+                    disposed.length.should.equal(2);
+                    keyed.pools.count().should.equal(0);
+
+                    keyed.acquire('a', function (err) {
+                        err.message.should.match(/KeyedPool is ended/);
+                        done();
+                    });
+                });
+            });
+        });
+    });
+});
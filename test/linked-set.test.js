@@ -0,0 +1,111 @@
+'use strict';
+
+require('should');
+
+var LinkedSet = require('../lib/linked-set');
+
+describe('LinkedSet', function () {
+    var set;
+    beforeEach(function () { set = new LinkedSet(); });
+
+    it('should add and take items at either end', function () {
+        set.push(2);
+        set.unshift(1);
+        set.push(3);
+        set.length.should.equal(3);
+        set.toArray().should.eql([1, 2, 3]);
+        set.peekFront().should.equal(1);
+        set.peekBack().should.equal(3);
+
+        set.shift().should.equal(1);
+        set.pop().should.equal(3);
+        set.shift().should.equal(2);
+        set.length.should.equal(0);
+    });
+    it('should return undefined from an empty set', function () {
+        (set.shift() === void 0).should.be.ok;
+        (set.pop() === void 0).should.be.ok;
+        (set.peekFront() === void 0).should.be.ok;
+        (set.peekBack() === void 0).should.be.ok;
+    });
+    it('should check for and remove items anywhere in the set', function () {
+        var a = { }, b = { }, c = { };
+        set.push(a);
+        set.push(b);
+        set.push(c);
+
+        set.has(b).should.equal(true);
+        set.remove(b).should.equal(true);
+        set.has(b).should.equal(false);
+        set.remove(b).should.equal(false);
+        set.toArray().should.eql([a, c]);
+
+        set.remove(a).should.equal(true);
+        set.remove(c).should.equal(true);
+        set.length.should.equal(0);
+        (set.peekFront() === void 0).should.be.ok;
+        (set.peekBack() === void 0).should.be.ok;
+    });
+    it('should move items that are added again', function () {
+        set.push(1);
+        set.push(2);
+        set.push(3);
+        set.unshift(3);
+        set.length.should.equal(3);
+        set.toArray().should.eql([3, 1, 2]);
+    });
+    it('should insert items after others', function () {
+        set.push(1);
+        set.push(2);
+        set.insertAfter(3, 1);
+        set.insertAfter(4, 2);
+        set.toArray().should.eql([1, 3, 2, 4]);
+        set.peekBack().should.equal(4);
+
+        // moves an item that is already in the set
+        set.insertAfter(1, 4);
+        set.toArray().should.eql([3, 2, 4, 1]);
+        set.length.should.equal(4);
+    });
+    it('should insert before an item', function () {
+        [1, 2].forEach(set.push, set);
+        set.insertBefore(3, 1);
+        set.insertBefore(4, 2);
+        set.toArray().should.eql([3, 1, 4, 2]);
+        set.peekFront().should.equal(3);
+
+        // moves an item that is already in the set
+        set.insertBefore(2, 3);
+        set.toArray().should.eql([2, 3, 1, 4]);
+        set.peekBack().should.equal(4);
+        set.length.should.equal(4);
+    });
+    it('should find the first item that matches, from the front', function () {
+        [1, 2, 3, 4].forEach(set.push, set);
+        set.find(function (item) { return item % 2 === 0; }).should.equal(2);
+        (set.find(function (item) { return item > 4; }) === void 0).should.be.ok;
+    });
+    it('should find the last item that matches, from the back', function () {
+        [1, 2, 3, 4].forEach(set.push, set);
+        set.findLast(function (item) { return item % 2 === 1; }).should.equal(3);
+        (set.findLast(function (item) { return item > 4; }) === void 0).should.be.ok;
+    });
+    it('should allow removing items while iterating', function () {
+        [1, 2, 3, 4].forEach(set.push, set);
+        var seen = [ ];
+        set.forEach(function (item) {
+            seen.push(item);
+            set.remove(item);
+        });
+        seen.should.eql([1, 2, 3, 4]);
+        set.length.should.equal(0);
+    });
+    it('should clear', function () {
+        set.push(1);
+        set.push(2);
+        set.clear();
+        set.length.should.equal(0);
+        set.has(1).should.equal(false);
+        set.toArray().should.eql([ ]);
+    });
+});
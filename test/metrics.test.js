@@ -0,0 +1,74 @@
+'use strict';
+
+require('should');
+
+var Metrics = require('../lib/metrics');
+
+describe('Metrics', function () {
+    it('should start with zeroed counters and empty histograms', function () {
+        var snapshot = new Metrics().snapshot({ allocated: 1, available: 2, queued: 3 });
+        snapshot.requeues.should.equal(0);
+        snapshot.destroys.should.equal(0);
+        snapshot.queueWait.count.should.equal(0);
+        snapshot.queueWait.sum.should.equal(0);
+        snapshot.allocated.should.equal(1);
+        snapshot.available.should.equal(2);
+        snapshot.queued.should.equal(3);
+    });
+    it('should increment counters', function () {
+        var metrics = new Metrics();
+        metrics.increment('requeues');
+        metrics.increment('requeues');
+        metrics.snapshot({ }).requeues.should.equal(2);
+    });
+    it('should record durations in seconds with cumulative buckets', function () {
+        var metrics = new Metrics();
+        metrics.observe('pingLatency', 3);
+        metrics.observe('pingLatency', 30);
+        metrics.observe('pingLatency', 30000);
+
+        var ping = metrics.snapshot({ }).pingLatency;
+        ping.count.should.equal(3);
+        ping.sum.should.equal(30.033);
+
+        var buckets = { };
+        ping.buckets.forEach(function (b) { buckets[b.le] = b.count; });
+        buckets['0.001'].should.equal(0);
+        buckets['0.005'].should.equal(1);
+        buckets['0.05'].should.equal(2);
+        buckets['10'].should.equal(2);
+        buckets.Infinity.should.equal(3);
+        ping.buckets[ping.buckets.length - 1].le.should.equal(Infinity);
+    });
+    it('should serialize snapshots in the Prometheus text format', function () {
+        var metrics = new Metrics();
+        metrics.increment('destroys');
+        metrics.observe('queueWait', 2);
+
+        var text = Metrics.toPrometheus([
+            { labels: { pool: 'a' }, metrics: metrics.snapshot({ allocated: 4, available: 6, queued: 0 }) },
+            { labels: { pool: 'b"\\' }, metrics: new Metrics().snapshot({ allocated: 0, available: 10, queued: 0 }) }
+        ]);
+
+        text.should.match(/^# HELP pool2_destroys_total .+$/m);
+        text.should.match(/^# TYPE pool2_destroys_total counter$/m);
+        text.should.match(/^pool2_destroys_total\{pool="a"\} 1$/m);
+        text.should.match(/^pool2_destroys_total\{pool="b\\"\\\\"\} 0$/m);
+        text.should.match(/^# TYPE pool2_queue_wait_seconds histogram$/m);
+        text.should.match(/^pool2_queue_wait_seconds_bucket\{pool="a",le="0\.001"\} 0$/m);
+        text.should.match(/^pool2_queue_wait_seconds_bucket\{pool="a",le="0\.005"\} 1$/m);
+        text.should.match(/^pool2_queue_wait_seconds_bucket\{pool="a",le="\+Inf"\} 1$/m);
+        text.should.match(/^pool2_queue_wait_seconds_sum\{pool="a"\} 0\.002$/m);
+        text.should.match(/^pool2_queue_wait_seconds_count\{pool="a"\} 1$/m);
+        text.should.match(/^# TYPE pool2_resources_allocated gauge$/m);
+        text.should.match(/^pool2_resources_allocated\{pool="a"\} 4$/m);
+
+        // each metric is described once
+        text.match(/^# TYPE pool2_destroys_total/mg).length.should.equal(1);
+    });
+    it('should omit braces when there are no labels', function () {
+        var text = Metrics.toPrometheus([ { labels: { }, metrics: new Metrics().snapshot({ allocated: 0, available: 0, queued: 0 }) } ]);
+        text.should.match(/^pool2_requeues_total 0$/m);
+        text.should.match(/^pool2_ping_duration_seconds_bucket\{le="\+Inf"\} 0$/m);
+    });
+});
@@ -79,8 +79,35 @@ describe('Pool', function () {
         ping: {
             valids: [ TYPES.function ]
         },
+        removeOn: {
+            valids: [ TYPES.function ]
+        },
+        onCreate: {
+            valids: [ TYPES.function ]
+        },
+        onCheckout: {
+            valids: [ TYPES.function ]
+        },
+        onCheckin: {
+            valids: [ TYPES.function ]
+        },
+        onCreateTimeout: {
+            valids: [ TYPES.positiveInteger ]
+        },
+        onCheckoutTimeout: {
+            valids: [ TYPES.positiveInteger ]
+        },
+        onCheckinTimeout: {
+            valids: [ TYPES.positiveInteger ]
+        },
+        destroyOn: {
+            valids: [ TYPES.function ]
+        },
         pingTimeout: {
             valids: [ TYPES.positiveInteger ]
+        },
+        pingIdleThreshold: {
+            valids: [ TYPES.zero, TYPES.positiveInteger ]
         },/* capabilities currently isn't checked very strictly
         capabilities: {
             valids: [ TYPES.array ]
@@ -108,6 +135,43 @@ describe('Pool', function () {
         },*/
         bailAfter: {
             valids: [ TYPES.zero, TYPES.positiveInteger, TYPES.positiveInfinity ]
+        },
+        maxLifetime: {
+            valids: [ TYPES.positiveInteger, TYPES.positiveInfinity ]
+        },
+        maxLifetimeJitter: {
+            valids: [ TYPES.zero, TYPES.positiveInteger ]
+        },
+        maxUses: {
+            valids: [ TYPES.positiveInteger, TYPES.positiveInfinity ]
+        },
+        leakDetectionThreshold: {
+            valids: [ TYPES.zero, TYPES.positiveInteger ]
+        },
+        reclaimLeaks: {
+            valids: [ TYPES.booleanTrue, TYPES.booleanFalse ]
+        },
+        validateIdleInterval: {
+            valids: [ TYPES.zero, TYPES.positiveInteger ]
+        },
+        validateIdleConcurrency: {
+            valids: [ TYPES.positiveInteger ]
+        },
+        leases: {
+            valids: [ TYPES.booleanTrue, TYPES.booleanFalse ]
+        },
+        selectionOrder: {
+            // only the names of the orders are valid; see the selectionOrder tests below
+            valids: [ ]
+        },
+        autoscale: {
+            valids: [ TYPES.booleanTrue, TYPES.booleanFalse, TYPES.object ]
+        },
+        name: {
+            valids: [ TYPES.string ]
+        },
+        weight: {
+            valids: [ TYPES.positiveInteger ]
         }
     };
 
@@ -127,6 +191,12 @@ describe('Pool', function () {
         Object.keys(OPTS).forEach(function (k) {
             var cfg = OPTS[k];
             describe(k, function () {
+                // put back a default changed by a test before the next one runs. an after() hook added from
+                // within a test only runs once the whole suite is done, leaving e.g. syncInterval: 0 as the
+                // default while the tests of later options run
+                var dflt = Pool.defaults[k];
+                afterEach(function () { Pool.defaults[k] = dflt; });
+
                 if (cfg.required) {
                     it('should throw if '+k+' is missing', function () {
                         delete opts[k];
@@ -147,9 +217,6 @@ describe('Pool', function () {
                                 Pool.defaults.should.have.property(k);
                             });
                             it('should allow '+t+' as a default value', function () {
-                                var dflt = Pool.defaults[k];
-                                after(function () { Pool.defaults[k] = dflt; });
-
                                 Pool.defaults[k] = TYPES[t];
                                 new Pool(opts);
                             });
@@ -177,15 +244,44 @@ describe('Pool', function () {
                 });
             }).should.throw(/opts\.min cannot be greater than opts\.max/);
         });
-        it('should throw if idleTimeout is specified when syncInterval is 0', function () {
+        it('should allow idleTimeout when syncInterval is 0', function () {
+            pool = new Pool({
+                acquire: noop,
+                dispose: noop,
+                syncInterval: 0,
+                idleTimeout: 3
+            });
+            pool.idleTimeout.should.equal(3);
+        });
+        it('should throw if validateIdleInterval is specified when syncInterval is 0', function () {
+            (function () {
+                new Pool({
+                    acquire: noop,
+                    dispose: noop,
+                    syncInterval: 0,
+                    validateIdleInterval: 3
+                });
+            }).should.throw(/Cannot specify opts\.validateIdleInterval when opts\.syncInterval is 0/);
+        });
+        it('should throw if autoscale is specified when syncInterval is 0', function () {
             (function () {
                 new Pool({
                     acquire: noop,
                     dispose: noop,
                     syncInterval: 0,
-                    idleTimeout: 3
+                    autoscale: true
                 });
-            }).should.throw(/Cannot specify opts\.idleTimeout when opts\.syncInterval is 0/);
+            }).should.throw(/Cannot specify opts\.autoscale when opts\.syncInterval is 0/);
+        });
+        it('should throw if maxLifetimeJitter is not less than maxLifetime', function () {
+            (function () {
+                new Pool({
+                    acquire: noop,
+                    dispose: noop,
+                    maxLifetime: 100,
+                    maxLifetimeJitter: 100
+                });
+            }).should.throw(/opts\.maxLifetimeJitter must be less than opts\.maxLifetime/);
         });
     });
 
@@ -297,6 +393,32 @@ describe('Pool', function () {
         pool.release('foo');
     });
 
+    it('should call back with an error on releasing an invalid resource', function (done) {
+        pool = new Pool({
+            acquire: seqAcquire,
+            dispose: disposeStub
+        });
+        pool.on('error', done);
+        pool.release('foo', function (err) {
+            err.message.should.match(/not member of pool/);
+            done();
+        });
+    });
+
+    it('should emit and reject on releasing an invalid resource without a callback', function (done) {
+        pool = new Pool({
+            acquire: seqAcquire,
+            dispose: disposeStub
+        });
+        var emitted = false;
+        pool.on('error', function () { emitted = true; });
+        pool.release('foo').then(null, function (err) {
+            err.message.should.match(/not member of pool/);
+            emitted.should.equal(true);
+            done();
+        });
+    });
+
     it('should emit an error on releasing an idle resource', function (done) {
         pool = new Pool({
             acquire: seqAcquire,
@@ -309,6 +431,23 @@ describe('Pool', function () {
         });
     });
 
+    it('should emit release once a released resource is idle again', function (done) {
+        pool = new Pool({
+            acquire: seqAcquire,
+            dispose: disposeStub,
+            onCheckin: function (res, cb) { setImmediate(cb); }
+        });
+        pool.acquire(function (err, res) {
+            pool.on('release', function (released) {
+                released.should.equal(res);
+                pool.available.has(res).should.equal(true);
+                done();
+            });
+            pool.release(res);
+            pool.available.has(res).should.equal(false);
+        });
+    });
+
     it('should emit an error on removing a non-member', function (done) {
         pool = new Pool({
             acquire: seqAcquire,
@@ -402,182 +541,1658 @@ describe('Pool', function () {
         });
     });
 
-    it('should refill resources up to the minimum', function (done) {
+    it('should remove each idle resource once it has been idle for idleTimeout', function (done) {
         pool = new Pool({
             acquire: seqAcquire,
             dispose: disposeStub,
-            syncInterval: 10,
-            idleTimeout: 10,
-            min: 1
+            syncInterval: 0,
+            idleTimeout: 40
         });
         pool.acquire(function (err, res) {
-            pool.remove(res);
-
+            pool.release(res);
             setTimeout(function () {
                 pool.stats().allocated.should.equal(1);
+            }, 20);
+            setTimeout(function () {
+                pool.stats().allocated.should.equal(0);
                 done();
-            }, 100);
+            }, 60);
         });
     });
 
-    it('should ping resources before use', function (done) {
-        var pings = 0;
+    it('should keep checking idle resources held for the minimum', function (done) {
         pool = new Pool({
             acquire: seqAcquire,
             dispose: disposeStub,
-            ping: function (res, cb) { pings++; cb(); },
-            min: 1,
-            max: 1
+            syncInterval: 0,
+            idleTimeout: 20,
+            min: 1
         });
-        pool.acquire(function (err, res) {
-            pings.should.equal(1);
-            pool.release(res);
-            done();
+        pool.once('ready', function () {
+            // the idle timer has fired while the resource was needed for the minimum
+            setTimeout(function () {
+                pool.stats().allocated.should.equal(1);
+                pool.resize({ min: 0 });
+                setTimeout(function () {
+                    pool.stats().allocated.should.equal(0);
+                    done();
+                }, 40);
+            }, 40);
         });
     });
 
-    it('should execute requests in order', function (done) {
-        var count = 0;
+    it('should restart the idle timer when a resource is used again', function (done) {
         pool = new Pool({
             acquire: seqAcquire,
             dispose: disposeStub,
-            min: 1,
-            max: 1
+            syncInterval: 0,
+            idleTimeout: 40
         });
         pool.acquire(function (err, res) {
-            count.should.equal(0);
-            count++;
             pool.release(res);
+            setTimeout(function () {
+                pool.acquire(function (err, res2) {
+                    res2.should.equal(res);
+                    pool.release(res2);
+                    setTimeout(function () {
+                        pool.stats().allocated.should.equal(1);
+                        done();
+                    }, 25);
+                });
+            }, 25);
         });
-        pool.acquire(function (err, res) {
-            count.should.equal(1);
-            count++;
-            pool.release(res);
+    });
+
+    it('should not keep the process alive', function (done) {
+        this.timeout(10000);
+        var script = 'var Pool = require(' + JSON.stringify(require.resolve('..')) + ');' +
+            'var pool = new Pool({ acquire: function (cb) { cb(null, { }); },' +
+            ' dispose: function (res, cb) { cb(); }, min: 2, leakDetectionThreshold: 60000 });' +
+            'pool.acquire(function (err, res) { pool.release(res); });';
+
+        require('child_process').execFile(process.execPath, ['-e', script], { timeout: 5000 }, function (err) {
+            (err === null).should.be.ok;
             done();
         });
     });
 
-    it('should acquire a new resource if ping fails', function (done) {
-        var pings = 0, num;
+    it('should refill resources up to the minimum', function (done) {
         pool = new Pool({
             acquire: seqAcquire,
             dispose: disposeStub,
-            ping: function (res, cb) {
-                pings++;
-                if (pings === 3) { cb(new Error('foo')); }
-                else { cb(); }
-            },
-            min: 1,
-            max: 1
-        });
-        pool.acquire(function (err, res) {
-            num = res;
-            pool.release(res);
-        });
-        pool.acquire(function (err, res) {
-            num.should.equal(res);
-            pool.release(res);
+            syncInterval: 10,
+            idleTimeout: 10,
+            min: 1
         });
         pool.acquire(function (err, res) {
-            num.should.not.equal(res);
-            pool.release(res);
-            done();
+            pool.remove(res);
+
+            setTimeout(function () {
+                pool.stats().allocated.should.equal(1);
+                done();
+            }, 100);
         });
     });
 
-    it('should fail acquire when pool is full', function (done) {
+    it('should remove resources that reach maxUses when they are released', function (done) {
+        var disposed = [ ];
         pool = new Pool({
             acquire: seqAcquire,
-            dispose: disposeStub,
-            min: 1,
-            max: 1,
-            maxRequests: 1
+            dispose: function (res, cb) { disposed.push(res); cb(); },
+            maxUses: 2,
+            max: 1
         });
-        pool.acquire(function (err, res) {
+        pool.acquire(function (err, res1) {
+            pool.release(res1);
             pool.acquire(function (err, res2) {
+                res2.should.equal(res1);
                 pool.release(res2);
+                disposed.should.eql([ res1 ]);
+                pool.stats().allocated.should.equal(0);
+
+                pool.acquire(function (err, res3) {
+                    res3.should.not.equal(res1);
+                    pool.release(res3);
+                    done();
+                });
             });
-            pool.acquire(function (err) {
-                err.message.should.match(/Pool is full/);
+        });
+    });
+
+    it('should remove resources that outlive maxLifetime when they are released', function (done) {
+        var disposed = [ ];
+        pool = new Pool({
+            acquire: seqAcquire,
+            dispose: function (res, cb) { disposed.push(res); cb(); },
+            maxLifetime: 20
+        });
+        pool.acquire(function (err, res) {
+            setTimeout(function () {
                 pool.release(res);
+                disposed.should.eql([ res ]);
+                pool.stats().allocated.should.equal(0);
                 done();
-            });
+            }, 30);
         });
     });
 
-    it('should end gracefully (no resources)', function (done) {
+    it('should not hand out idle resources that outlived maxLifetime', function (done) {
         pool = new Pool({
             acquire: seqAcquire,
-            dispose: disposeStub
+            dispose: disposeStub,
+            maxLifetime: 20,
+            syncInterval: 0
+        });
+        pool.acquire(function (err, res1) {
+            pool.release(res1);
+            setTimeout(function () {
+                pool.acquire(function (err, res2) {
+                    res2.should.not.equal(res1);
+                    pool.stats().allocated.should.equal(1);
+                    pool.release(res2);
+                    done();
+                });
+            }, 30);
         });
-
-        pool.end(done);
     });
 
-    it('should end gracefully (idle resources)', function (done) {
+    it('should replace idle resources that outlive maxLifetime to maintain the minimum', function (done) {
+        var first;
         pool = new Pool({
             acquire: seqAcquire,
-            dispose: function (res, cb) { cb(); },
+            dispose: disposeStub,
+            maxLifetime: 20,
+            syncInterval: 10,
             min: 1
         });
         setTimeout(function () {
-            pool.end(done);
-        }, 100);
+            first = pool.available.peekFront();
+            first.should.be.ok;
+        }, 5);
+        setTimeout(function () {
+            pool.stats().allocated.should.equal(1);
+            pool.available.peekFront().should.not.equal(first);
+            done();
+        }, 60);
     });
 
-    it('should end gracefully (allocated resources)', function (done) {
+    it('should ping resources before use', function (done) {
+        var pings = 0;
         pool = new Pool({
             acquire: seqAcquire,
-            dispose: function (res, cb) { cb(); },
-            min: 1
+            dispose: disposeStub,
+            ping: function (res, cb) { pings++; cb(); },
+            min: 1,
+            max: 1
         });
-
         pool.acquire(function (err, res) {
-            setTimeout(function () {
-                pool.release(res);
-            }, 100);
+            pings.should.equal(1);
+            pool.release(res);
+            done();
         });
-        pool.end(done);
     });
 
-    it('should end gracefully (resources in allocation)', function (done) {
+    it('should not ping resources that were used within pingIdleThreshold', function (done) {
+        var pings = 0;
         pool = new Pool({
-            acquire: function (cb) { setTimeout(cb.bind(null, null, { }), 100); },
-            dispose: disposeStub
+            acquire: seqAcquire,
+            dispose: disposeStub,
+            ping: function (res, cb) { pings++; cb(); },
+            pingIdleThreshold: 1000,
+            max: 1
         });
-
         pool.acquire(function (err, res) {
             pool.release(res);
+            pool.acquire(function (err, res) {
+                pings.should.equal(0);
+                pool.release(res);
+                done();
+            });
         });
-
-        setTimeout(pool.end.bind(pool, done), 50);
     });
 
-    it('should end gracefully (min-fill with no pending requests)', function (done) {
+    it('should hand out resources that skip the ping asynchronously', function (done) {
         pool = new Pool({
-            acquire: function (cb) { setTimeout(cb.bind(null, null, { }), 100); },
+            acquire: seqAcquire,
             dispose: disposeStub,
-            min: 1
+            pingIdleThreshold: 1000,
+            max: 1
+        });
+        pool.acquire(function (err, res) {
+            var releasing = true, released = false;
+            pool.acquire(function (err, again) {
+                releasing.should.equal(false);
+                released.should.equal(true);
+                pool.release(again);
+                done();
+            });
+            pool.release(res, function (err) {
+                released = !err;
+            });
+            releasing = false;
         });
-
-        setTimeout(pool.end.bind(pool, done), 50);
     });
 
-    it('should end gracefully (min-fill with no pending requests, min > 1)', function (done) {
-        var dly = 66, num = 0;
+    it('should ping resources that have been idle longer than pingIdleThreshold', function (done) {
+        var pings = 0;
         pool = new Pool({
-            acquire: function (cb) {
-                num++;
-                setTimeout(cb.bind(null, null, { }), dly);
-                dly += 33;
-            },
-            dispose: function (res, cb) {
-                num--;
-                cb();
-            },
-            min: 2
-        });
-
+            acquire: seqAcquire,
+            dispose: disposeStub,
+            ping: function (res, cb) { pings++; cb(); },
+            pingIdleThreshold: 10,
+            max: 1
+        });
+        pool.acquire(function (err, res) {
+            pool.release(res);
+            setTimeout(function () {
+                pool.acquire(function (err, res) {
+                    pings.should.equal(1);
+                    pool.release(res);
+                    done();
+                });
+            }, 30);
+        });
+    });
+
+    it('should execute requests in order', function (done) {
+        var count = 0;
+        pool = new Pool({
+            acquire: seqAcquire,
+            dispose: disposeStub,
+            min: 1,
+            max: 1
+        });
+        pool.acquire(function (err, res) {
+            count.should.equal(0);
+            count++;
+            pool.release(res);
+        });
+        pool.acquire(function (err, res) {
+            count.should.equal(1);
+            count++;
+            pool.release(res);
+            done();
+        });
+    });
+
+    it('should serve requests in order of priority', function (done) {
+        var order = [ ];
+        pool = new Pool({
+            acquire: seqAcquire,
+            dispose: disposeStub,
+            max: 1
+        });
+        pool.acquire(function (err, res) {
+            function record(name) {
+                return function (err, res) {
+                    order.push(name);
+                    if (order.length === 4) {
+                        order.should.eql(['high1', 'high2', 'low1', 'low2']);
+                        done();
+                    } else {
+                        pool.release(res);
+                    }
+                };
+            }
+            pool.acquire(record('low1'));
+            pool.acquire({ priority: 10 }, record('high1'));
+            pool.acquire({ priority: 0 }, record('low2'));
+            pool.acquire({ priority: 10 }, record('high2'));
+            setTimeout(pool.release.bind(pool, res), 10);
+        });
+    });
+
+    it('should report queue depth per priority', function (done) {
+        pool = new Pool({
+            acquire: seqAcquire,
+            dispose: disposeStub,
+            max: 1
+        });
+        pool.acquire(function (err, res) {
+            pool.acquire({ priority: 2 }, noop);
+            pool.acquire({ priority: 2 }, noop);
+            pool.acquire(noop);
+            var stats = pool.stats();
+            stats.queued.should.equal(3);
+            stats.queuedByPriority.should.eql({ 0: 1, 2: 2 });
+            done();
+        });
+    });
+
+    it('should call back with an error for an invalid priority', function (done) {
+        pool = new Pool({
+            acquire: seqAcquire,
+            dispose: disposeStub
+        });
+        pool.acquire({ priority: 'high' }).then(null, function (err) {
+            err.message.should.match(/priority must be an integer/);
+            done();
+        }).catch(done);
+    });
+
+    describe('abort signals', function () {
+        // a minimal stand-in for AbortController
+        function Controller() {
+            var listeners = [ ];
+            this.signal = {
+                aborted: false,
+                reason: void 0,
+                listeners: listeners,
+                addEventListener: function (type, fn) { listeners.push(fn); },
+                removeEventListener: function (type, fn) {
+                    var idx = listeners.indexOf(fn);
+                    if (idx > -1) { listeners.splice(idx, 1); }
+                }
+            };
+        }
+        Controller.prototype.abort = function (reason) {
+            this.signal.aborted = true;
+            this.signal.reason = reason;
+            this.signal.listeners.slice().forEach(function (fn) { fn(); });
+        };
+
+        it('should call back with an error for an invalid signal', function (done) {
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: disposeStub
+            });
+            pool.acquire({ signal: 'foo' }, function (err) {
+                err.should.be.an.instanceOf(TypeError);
+                err.message.should.match(/signal must be an AbortSignal/);
+                done();
+            });
+        });
+        it('should reject requests whose signal is already aborted', function (done) {
+            var controller = new Controller();
+            controller.abort(new Error('foo'));
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: disposeStub
+            });
+            pool.acquire({ signal: controller.signal }, function (err) {
+                err.message.should.equal('ResourceRequest aborted: foo');
+                pool.stats().queued.should.equal(0);
+                controller.signal.listeners.length.should.equal(0);
+                done();
+            });
+        });
+        it('should reject queued requests and take them off the queue at once when aborted', function (done) {
+            var controller = new Controller();
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: disposeStub,
+                max: 1
+            });
+            pool.acquire(function (err, res) {
+                pool.acquire({ signal: controller.signal }, function (err) {
+                    err.message.should.equal('ResourceRequest aborted: bar');
+                    pool.stats().queued.should.equal(0);
+                    controller.signal.listeners.length.should.equal(0);
+                    pool.release(res);
+                    done();
+                });
+                pool.stats().queued.should.equal(1);
+                controller.abort('bar');
+            });
+        });
+        it('should stop listening to the signal once the request is served', function (done) {
+            var controller = new Controller();
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: disposeStub
+            });
+            pool.acquire({ signal: controller.signal }, function (err, res) {
+                controller.signal.listeners.length.should.equal(0);
+                controller.abort();
+                pool.stats().available.should.equal(9);
+                pool.release(res);
+                done();
+            });
+            controller.signal.listeners.length.should.equal(1);
+        });
+        it('should make a resource available again if its request is aborted during the ping', function (done) {
+            var controller = new Controller(), pinged;
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: disposeStub,
+                ping: function (res, cb) { pinged = cb; }
+            });
+            pool.on('requeue', function () { done(new Error('should not requeue')); });
+            pool.acquire({ signal: controller.signal }, function (err) {
+                err.message.should.match(/aborted/);
+                setImmediate(function () {
+                    pinged();
+                    var stats = pool.stats();
+                    stats.allocated.should.equal(1);
+                    stats.available.should.equal(10);
+                    stats.queued.should.equal(0);
+                    done();
+                });
+            });
+            setTimeout(function () { controller.abort(); }, 20);
+        });
+        it('should not requeue an aborted request whose resource fails its ping', function (done) {
+            var controller = new Controller(), pinged;
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: disposeStub,
+                ping: function (res, cb) { pinged = cb; }
+            });
+            pool.on('warn', noop);
+            pool.on('requeue', function () { done(new Error('should not requeue')); });
+            pool.acquire({ signal: controller.signal }, function (err) {
+                setImmediate(function () {
+                    pinged(new Error('ping failed'));
+                    var stats = pool.stats();
+                    stats.allocated.should.equal(0);
+                    stats.queued.should.equal(0);
+                    done();
+                });
+            });
+            setTimeout(function () { controller.abort(); }, 20);
+        });
+    });
+
+    describe('acquireMany', function () {
+        it('should call back with an error for an invalid n', function (done) {
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: disposeStub,
+                max: 3
+            });
+            var errs = [ ];
+            [0, 1.5, 'foo', 4].forEach(function (n) {
+                pool.acquireMany(n, function (err) { errs.push(err); });
+            });
+            errs.length.should.equal(4);
+            errs.forEach(function (err) { err.should.be.an.instanceOf(RangeError); });
+            errs[0].message.should.match(/n must be a positive integer/);
+            errs[3].message.should.match(/n cannot be greater than the pool max/);
+            done();
+        });
+        it('should not grow past max when resources are acquired and pinged synchronously', function (done) {
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: disposeStub,
+                ping: function (res, cb) { cb(); },
+                max: 10,
+                syncInterval: 0
+            });
+            var served = 0, i;
+            for (i = 0; i < 10; i++) {
+                pool.acquire(function (err) {
+                    if (err) { return done(err); }
+                    if (++served < 10) { return; }
+
+                    setImmediate(function () {
+                        pool.stats().allocated.should.equal(10);
+                        done();
+                    });
+                });
+            }
+        });
+        it('should serve several requests for more than one resource at a time', function (done) {
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: disposeStub,
+                min: 4,
+                max: 4
+            });
+            pool.ready(function () {
+                var results = [ ];
+                function got(err, resources) {
+                    if (err) { return done(err); }
+                    results.push(resources);
+                    if (results.length < 2) { return; }
+
+                    results[0].concat(results[1]).should.have.length(4);
+                    results[0].should.not.containEql(results[1][0]);
+                    results[0].should.not.containEql(results[1][1]);
+                    pool.stats().queued.should.equal(0);
+                    done();
+                }
+                pool.acquireMany(2, got);
+                pool.acquireMany(2, got);
+            });
+        });
+        it('should call back with all n resources at once', function (done) {
+            var acquiring = 0, most = 0;
+            pool = new Pool({
+                acquire: function (cb) {
+                    acquiring++;
+                    most = Math.max(most, acquiring);
+                    setTimeout(function () {
+                        acquiring--;
+                        seqAcquire(cb);
+                    }, 5);
+                },
+                dispose: disposeStub
+            });
+            pool.acquireMany(3).then(function (resources) {
+                resources.length.should.equal(3);
+                resources[0].should.not.equal(resources[1]);
+                resources[1].should.not.equal(resources[2]);
+                pool.stats().allocated.should.equal(3);
+                pool.stats().queued.should.equal(0);
+
+                // the pool grows by all of them at once
+                most.should.equal(3);
+                resources.forEach(function (res) { pool.release(res); });
+                done();
+            }).catch(done);
+        });
+        it('should wait in the queue as one request, ahead of those behind it', function (done) {
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: disposeStub,
+                max: 2
+            });
+            pool.acquire(function (err, a) {
+                pool.acquire(function (err, b) {
+                    var order = [ ];
+                    pool.acquireMany(2, function (err, resources) {
+                        order.push('many');
+                        resources.should.containEql(a);
+                        resources.should.containEql(b);
+                        pool.release(resources[0]);
+                    });
+                    pool.acquire(function (err, res) {
+                        order.should.eql(['many']);
+                        pool._destroyPool();
+                        done();
+                    });
+                    pool.stats().queued.should.equal(2);
+
+                    pool.release(a);
+                    setTimeout(function () {
+                        // a is held for the request for two, not handed to the request behind it
+                        order.should.eql([ ]);
+                        pool.stats().queued.should.equal(2);
+                        pool.release(b);
+                    }, 20);
+                });
+            });
+        });
+        it('should not let two requests for several resources each hold part of what they need', function (done) {
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: disposeStub,
+                max: 4
+            });
+            pool.acquireMany(2, function (err, taken) {
+                var order = [ ];
+                pool.acquireMany(3, function (err, resources) {
+                    order.push('first');
+                    resources.length.should.equal(3);
+                    resources.forEach(function (res) { pool.release(res); });
+                });
+                setImmediate(function () {
+                    // a later request with a higher priority doesn't take the resources it needs
+                    pool.acquireMany(3, { priority: 5 }, function (err, resources) {
+                        order.should.eql(['first']);
+                        resources.length.should.equal(3);
+                        done();
+                    });
+                    setTimeout(function () { pool.release(taken[0]); }, 10);
+                });
+            });
+        });
+        it('should give back the resources it holds when it times out', function (done) {
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: disposeStub,
+                max: 2,
+                requestTimeout: 30
+            });
+            pool.acquire(function (err, a) {
+                pool.acquireMany(2, function (err, resources) {
+                    err.message.should.match(/timed out/);
+                    (resources === void 0).should.be.ok;
+
+                    setImmediate(function () {
+                        var stats = pool.stats();
+                        stats.allocated.should.equal(2);
+                        stats.available.should.equal(1);
+                        stats.queued.should.equal(0);
+
+                        pool.acquire(function (err, res) {
+                            res.should.not.equal(a);
+                            pool.release(res);
+                            pool.release(a);
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+        it('should hand out leases in lease mode', function (done) {
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: disposeStub,
+                leases: true
+            });
+            pool.acquireMany(2, function (err, leases) {
+                leases.length.should.equal(2);
+                leases.forEach(function (lease) {
+                    lease.resource.should.have.property('seq');
+                    lease.release();
+                });
+                pool.stats().available.should.equal(10);
+                done();
+            });
+        });
+    });
+
+    describe('resize', function () {
+        it('should validate min and max as the constructor does', function () {
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: disposeStub,
+                min: 1,
+                max: 3
+            });
+            (function () { pool.resize({ max: 0 }); }).should.throw(/max cannot be 0/);
+            (function () { pool.resize({ min: -1 }); }).should.throw(/min must be a positive integer/);
+            (function () { pool.resize({ min: 4 }); }).should.throw(/min cannot be greater than max/);
+            pool.min.should.equal(1);
+            pool.max.should.equal(3);
+        });
+        it('should serve queued requests when growing max', function (done) {
+            var served = 0;
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: disposeStub,
+                max: 1
+            });
+            function serve(err, res) { served++; }
+            pool.acquire(serve);
+            pool.acquire(serve);
+            pool.acquire(serve);
+            setTimeout(function () {
+                served.should.equal(1);
+                pool.resize({ max: 3 });
+                setTimeout(function () {
+                    served.should.equal(3);
+                    pool.stats().allocated.should.equal(3);
+                    done();
+                }, 20);
+            }, 20);
+        });
+        it('should acquire resources when growing min', function (done) {
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: disposeStub
+            });
+            pool.resize({ min: 3 });
+            setTimeout(function () {
+                pool.stats().allocated.should.equal(3);
+                done();
+            }, 20);
+        });
+        it('should retire idle resources first, then checked out ones as they are released', function (done) {
+            var disposed = [ ];
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: function (res, cb) { disposed.push(res); cb(); },
+                min: 4,
+                max: 4
+            });
+            setTimeout(function () {
+                pool.acquire(function (err, res1) {
+                    pool.acquire(function (err, res2) {
+                        pool.resize({ min: 0, max: 1 });
+                        // both idle resources go right away
+                        disposed.length.should.equal(2);
+                        pool.stats().allocated.should.equal(2);
+
+                        pool.release(res1);
+                        disposed.length.should.equal(3);
+                        disposed[2].should.equal(res1);
+
+                        pool.release(res2);
+                        disposed.length.should.equal(3);
+                        pool.stats().allocated.should.equal(1);
+                        pool.release(res2, function (err) {
+                            err.message.should.match(/already released/);
+                            done();
+                        });
+                    });
+                });
+            }, 20);
+        });
+    });
+
+    describe('autoscale', function () {
+        it('should throw with an invalid decreaseFactor', function () {
+            [0, 1, 1.5, 'foo'].forEach(function (factor) {
+                (function () {
+                    new Pool({
+                        acquire: seqAcquire,
+                        dispose: disposeStub,
+                        autoscale: { decreaseFactor: factor }
+                    });
+                }).should.throw(/decreaseFactor must be a number between 0 and 1/);
+            });
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: disposeStub,
+                autoscale: { decreaseFactor: 0.75 }
+            });
+        });
+        it('should report the target in stats(), which is max when not autoscaling', function () {
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: disposeStub,
+                max: 7
+            });
+            pool.stats().target.should.equal(7);
+            pool.resize({ max: 5 });
+            pool.stats().target.should.equal(5);
+        });
+        it('should cut the target on acquire failures', function (done) {
+            var failing = false;
+            pool = new Pool({
+                acquire: function (cb) {
+                    if (failing) { cb(new Error('foo')); }
+                    else { seqAcquire(cb); }
+                },
+                dispose: disposeStub,
+                max: 4,
+                autoscale: true
+            });
+            pool.once('autoscale', function (change) {
+                change.should.eql({ target: 2, previous: 4 });
+                pool.stats().target.should.equal(2);
+                done();
+            });
+            pool.acquire(function (err, res) {
+                pool.release(res);
+                failing = true;
+                pool._allocateResource();
+                setImmediate(function () { pool._sync(); });
+            });
+        });
+        it('should not allocate resources beyond the target', function (done) {
+            var served = 0;
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: disposeStub,
+                max: 4,
+                autoscale: true
+            });
+            pool.target = 2;
+            pool.acquire(function () { served++; });
+            pool.acquire(function () { served++; });
+            pool.acquire(function () { served++; });
+            setTimeout(function () {
+                served.should.equal(2);
+                var stats = pool.stats();
+                stats.allocated.should.equal(2);
+                stats.available.should.equal(0);
+                done();
+            }, 20);
+        });
+        it('should grow the target while requests are queued', function (done) {
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: disposeStub,
+                max: 4,
+                autoscale: true
+            });
+            pool.target = 1;
+            pool.acquire(noop);
+            pool.acquire(function () {
+                pool.stats().target.should.equal(2);
+                done();
+            });
+            setTimeout(function () {
+                pool.stats().queued.should.equal(1);
+                pool._sync();
+            }, 20);
+        });
+        it('should keep the target within min and max when resized', function () {
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: disposeStub,
+                max: 10,
+                autoscale: true
+            });
+            pool.target = 8;
+            pool.resize({ max: 5 });
+            pool.target.should.equal(5);
+            pool.resize({ max: 20 });
+            pool.target.should.equal(5);
+            pool.resize({ min: 6 });
+            pool.target.should.equal(6);
+        });
+    });
+
+    describe('pause', function () {
+        it('should queue requests but not serve them while paused', function (done) {
+            var served = false;
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: disposeStub
+            });
+            pool.once('pause', function () {
+                pool.acquire(function (err, res) {
+                    served = true;
+                    pool.release(res);
+                });
+                setTimeout(function () {
+                    served.should.equal(false);
+                    var stats = pool.stats();
+                    stats.paused.should.equal(true);
+                    stats.queued.should.equal(1);
+                    stats.allocated.should.equal(0);
+
+                    pool.once('resume', function () {
+                        pool.stats().paused.should.equal(false);
+                    });
+                    pool.resume();
+                    setTimeout(function () {
+                        served.should.equal(true);
+                        done();
+                    }, 20);
+                }, 20);
+            });
+            pool.pause();
+        });
+        it('should dispose of idle resources, and not replace them until resumed', function (done) {
+            var disposed = 0;
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: function (res, cb) { disposed++; cb(); },
+                min: 2
+            });
+            setTimeout(function () {
+                pool.stats().allocated.should.equal(2);
+                pool.pause({ disposeIdle: true });
+                setTimeout(function () {
+                    disposed.should.equal(2);
+                    pool.stats().allocated.should.equal(0);
+                    pool.resume();
+                    setTimeout(function () {
+                        pool.stats().allocated.should.equal(2);
+                        done();
+                    }, 20);
+                }, 20);
+            }, 20);
+        });
+        it('should only emit pause and resume on a change of state', function () {
+            var events = [ ];
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: disposeStub
+            });
+            pool.on('pause', function () { events.push('pause'); });
+            pool.on('resume', function () { events.push('resume'); });
+            pool.resume();
+            pool.pause();
+            pool.pause();
+            pool.resume();
+            pool.resume();
+            events.should.eql(['pause', 'resume']);
+        });
+        it('should serve queued requests before ending a paused pool', function (done) {
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: disposeStub
+            });
+            pool.pause();
+            pool.acquire(function (err, res) {
+                setTimeout(pool.release.bind(pool, res), 10);
+            });
+            setImmediate(function () {
+                pool.end(done);
+            });
+        });
+    });
+    describe('lifecycle hooks', function () {
+        it('should set up new resources with onCreate before they are handed out', function (done) {
+            var created = [ ];
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: disposeStub,
+                onCreate: function (res, cb) {
+                    setTimeout(function () {
+                        res.setUp = true;
+                        created.push(res);
+                        cb();
+                    }, 10);
+                }
+            });
+            pool.acquire(function (err, res) {
+                res.setUp.should.equal(true);
+                pool.release(res);
+                pool.acquire(function (err, res2) {
+                    res2.should.equal(res);
+                    created.should.eql([ res ]);
+                    pool.release(res2);
+                    done();
+                });
+            });
+        });
+        it('should not acquire more resources for a request while onCreate runs', function (done) {
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: disposeStub,
+                onCreate: function (res, cb) { setTimeout(cb, 100); },
+                syncInterval: 20
+            });
+            pool.acquire(function (err, res) {
+                if (err) { return done(err); }
+                pool.stats().allocated.should.equal(1);
+                pool.release(res);
+                done();
+            });
+        });
+        it('should run onCheckout before each handout, and onCheckin on each release', function (done) {
+            var calls = [ ];
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: disposeStub,
+                onCheckout: function (res) {
+                    calls.push('checkout');
+                    return Pool.Promise.resolve();
+                },
+                onCheckin: function (res, cb) {
+                    calls.push('checkin');
+                    pool.stats().available.should.equal(9);
+                    setTimeout(cb, 10);
+                }
+            });
+            pool.acquire(function (err, res) {
+                pool.release(res);
+                setTimeout(function () {
+                    pool.acquire(function (err, res2) {
+                        res2.should.equal(res);
+                        calls.should.eql([ 'checkout', 'checkin', 'checkout' ]);
+                        pool.release(res2);
+                        done();
+                    });
+                }, 20);
+            });
+        });
+        it('should give hooks the resource in lease mode', function (done) {
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: disposeStub,
+                leases: true,
+                onCheckout: function (res, cb) {
+                    res.checkedOut = true;
+                    cb();
+                }
+            });
+            pool.acquire(function (err, lease) {
+                lease.resource.checkedOut.should.equal(true);
+                lease.release();
+                done();
+            });
+        });
+        it('should catch resources released twice while onCheckin runs', function (done) {
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: disposeStub,
+                onCheckin: function (res, cb) { setTimeout(cb, 10); }
+            });
+            pool.acquire(function (err, res) {
+                pool.release(res, function (err) {
+                    (err === null).should.be.ok;
+                    pool.release(res, function (err) {
+                        err.message.should.match(/already released/);
+                        done();
+                    });
+                });
+            });
+        });
+        it('should remove a resource when onCheckin fails', function (done) {
+            var disposed = [ ], warned;
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: function (res, cb) { disposed.push(res); cb(); },
+                onCheckin: function (res, cb) { cb(new Error('cannot reset')); }
+            });
+            pool.on('warn', function (err) { warned = err; });
+            pool.acquire(function (err, res) {
+                pool.release(res);
+                setTimeout(function () {
+                    warned.message.should.equal('cannot reset');
+                    disposed.should.eql([ res ]);
+                    pool.stats().allocated.should.equal(0);
+                    pool.metrics().hookFailures.should.equal(1);
+                    done();
+                }, 10);
+            });
+        });
+        it('should destroy a resource when onCheckin fails with an error matching destroyOn', function (done) {
+            var destroyed = [ ];
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: disposeStub,
+                destroy: function (res) { destroyed.push(res); },
+                destroyOn: TypeError,
+                onCheckin: function (res, cb) { cb(new TypeError('broken')); }
+            });
+            pool.on('warn', noop);
+            pool.acquire(function (err, res) {
+                pool.release(res);
+                setTimeout(function () {
+                    destroyed.should.eql([ res ]);
+                    done();
+                }, 10);
+            });
+        });
+        it('should requeue the request with another resource when onCheckout fails', function (done) {
+            var disposed = [ ], first = true, requeued = 0;
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: function (res, cb) { disposed.push(res); cb(); },
+                onCheckout: function (res, cb) {
+                    if (first) {
+                        first = false;
+                        throw new Error('stale session');
+                    }
+                    cb();
+                }
+            });
+            pool.on('warn', noop);
+            pool.on('requeue', function () { requeued++; });
+            pool.acquire(function (err, res) {
+                (err === null).should.be.ok;
+                disposed.length.should.equal(1);
+                disposed[0].should.not.equal(res);
+                requeued.should.equal(1);
+                pool.release(res);
+                done();
+            });
+        });
+        it('should destroy a resource when a hook times out', function (done) {
+            var destroyed = [ ];
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: disposeStub,
+                destroy: function (res) { destroyed.push(res); },
+                onCheckout: function (res, cb) {
+                    if (destroyed.length === 0) { return; }
+                    cb();
+                },
+                onCheckoutTimeout: 20
+            });
+            pool.on('warn', function (err) {
+                err.message.should.equal('Timed out running onCheckout hook');
+            });
+            pool.acquire(function (err, res) {
+                (err === null).should.be.ok;
+                destroyed.length.should.equal(1);
+                pool.metrics().hookTimeouts.should.equal(1);
+                pool.release(res);
+                done();
+            });
+        });
+        it('should count a failed onCreate as a failed allocation, and retry', function (done) {
+            var disposed = [ ], attempts = 0, failures = 0;
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: function (res, cb) { disposed.push(res); cb(); },
+                bailAfter: Infinity,
+                backoff: { min: 10 },
+                onCreate: function (res, cb) {
+                    attempts++;
+                    cb(attempts < 3 ? new Error('cannot set up') : null);
+                }
+            });
+            pool.on('warn', noop);
+            pool.on('acquireFailure', function () { failures++; });
+            pool.acquire(function (err, res) {
+                (err === null).should.be.ok;
+                attempts.should.equal(3);
+                failures.should.equal(2);
+                disposed.length.should.equal(2);
+                pool.release(res);
+                done();
+            });
+        });
+    });
+    describe('background validation', function () {
+        it('should ping idle resources and keep the ones that pass', function (done) {
+            var pinged = [ ];
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: disposeStub,
+                ping: function (res, cb) { pinged.push(res); cb(); },
+                min: 2,
+                syncInterval: 10,
+                validateIdleInterval: 30
+            });
+            pool.ready(function () {
+                var resources = pool.available.toArray(), idleSince = pool.pool.get(resources[0]);
+                setTimeout(function () {
+                    pinged.length.should.be.within(2, 4);
+                    pinged.should.containEql(resources[0]);
+                    pinged.should.containEql(resources[1]);
+                    pool.stats().allocated.should.equal(2);
+                    pool.available.length.should.equal(2);
+                    // pinging doesn't count as using the resource
+                    pool.pool.get(resources[0]).should.equal(idleSince);
+                    done();
+                }, 70);
+            });
+        });
+        it('should remove idle resources that fail, and replace them to make up the minimum', function (done) {
+            var failing = null, warned;
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: disposeStub,
+                ping: function (res, cb) { cb(res === failing ? new Error('gone away') : null); },
+                min: 1,
+                syncInterval: 10,
+                validateIdleInterval: 20
+            });
+            pool.on('warn', function (err) { warned = err; });
+            pool.ready(function () {
+                failing = pool.available.peekFront();
+                setTimeout(function () {
+                    warned.message.should.equal('gone away');
+                    pool.metrics().idleValidationFailures.should.equal(1);
+                    pool.pool.has(failing).should.equal(false);
+                    pool.stats().allocated.should.equal(1);
+                    done();
+                }, 60);
+            });
+        });
+        it('should only ping validateIdleConcurrency resources at a time, and not hand them out', function (done) {
+            var pinging = [ ];
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: disposeStub,
+                ping: function (res, cb) {
+                    // background pings never finish; pings before checkout do
+                    if (pool.validating.has(res)) { pinging.push(res); }
+                    else { cb(); }
+                },
+                min: 3,
+                syncInterval: 10,
+                validateIdleInterval: 10,
+                validateIdleConcurrency: 2
+            });
+            pool.ready(function () {
+                setTimeout(function () {
+                    pinging.length.should.equal(2);
+                    pool.available.length.should.equal(1);
+                    pool.acquire(function (err, res) {
+                        pinging.should.not.containEql(res);
+                        pool.release(res);
+                        done();
+                    });
+                }, 50);
+            });
+        });
+        it('should ping the next due resource as soon as one is done', function (done) {
+            var pinged = [ ];
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: disposeStub,
+                ping: function (res, cb) {
+                    if (pool.validating.has(res)) { pinged.push(res); }
+                    setImmediate(cb);
+                },
+                min: 4,
+                syncInterval: 40,
+                validateIdleInterval: 10
+            });
+            pool.ready(function () {
+                // all of them between two syncs, one at a time
+                setTimeout(function () {
+                    pinged.length.should.equal(4);
+                    pool.available.length.should.equal(4);
+                    done();
+                }, 60);
+            });
+        });
+        it('should put pinged resources back where they were in the selection order', function (done) {
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: disposeStub,
+                ping: function (res, cb) { setImmediate(cb); },
+                syncInterval: 10,
+                validateIdleInterval: 20
+            });
+            pool.acquire(function (err, a) {
+                pool.acquire(function (err, b) {
+                    pool.release(a);
+                    setTimeout(function () { pool.release(b); }, 15);
+
+                    // only a is due a ping; under lifo, b is still handed out first, so a can go idle
+                    pool.once('pingSuccess', function (res) {
+                        res.should.equal(a);
+                        setImmediate(function () {
+                            pool.available.toArray().should.eql([ b, a ]);
+                            pool.idle.toArray().should.eql([ a, b ]);
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+        it('should error on releasing a resource that is being pinged', function (done) {
+            var pinging = [ ];
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: disposeStub,
+                // never finishes
+                ping: function (res, cb) { pinging.push(res); },
+                min: 1,
+                syncInterval: 10,
+                validateIdleInterval: 10
+            });
+            pool.ready(function () {
+                setTimeout(function () {
+                    pool.release(pinging[0], function (err) {
+                        err.message.should.match(/already released/);
+                        done();
+                    });
+                }, 40);
+            });
+        });
+    });
+    describe('selectionOrder', function () {
+        // check out three resources, release them in the given order, and see which is handed out next
+        function next(selectionOrder, releaseOrder, cb) {
+            var opts = { acquire: seqAcquire, dispose: disposeStub };
+            if (selectionOrder) { opts.selectionOrder = selectionOrder; }
+            pool = new Pool(opts);
+
+            var resources = [ ];
+            function acquired(err, res) {
+                resources.push(res);
+                if (resources.length < 3) { return; }
+
+                releaseOrder.forEach(function (i) { pool.release(resources[i]); });
+                pool.acquire(function (err, res) {
+                    pool.release(res);
+                    cb(resources.indexOf(res));
+                });
+            }
+            pool.acquire(acquired);
+            pool.acquire(acquired);
+            pool.acquire(acquired);
+        }
+
+        it('should accept the names of the orders', function () {
+            ['lifo', 'fifo', 'round-robin', 'lru'].forEach(function (selectionOrder) {
+                new Pool({ acquire: noop, dispose: noop, selectionOrder: selectionOrder })._destroyPool();
+            });
+            (function () {
+                new Pool({ acquire: noop, dispose: noop, selectionOrder: 'random' });
+            }).should.throw(/selectionOrder must be one of lifo, fifo, round-robin, lru/);
+        });
+        it('should hand out the most recently released resource by default', function (done) {
+            next(void 0, [1, 2, 0], function (i) {
+                i.should.equal(0);
+                done();
+            });
+        });
+        it('should hand out the longest idle resource with fifo', function (done) {
+            next('fifo', [1, 2, 0], function (i) {
+                i.should.equal(1);
+                done();
+            });
+        });
+        it('should hand out resources in turn with round-robin', function (done) {
+            next('round-robin', [1, 0, 2], function (i) {
+                i.should.equal(0);
+                done();
+            });
+        });
+        it('should reap the longest idle resources first, whatever the order', function (done) {
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: disposeStub,
+                selectionOrder: 'lru',
+                max: 3
+            });
+            var resources = [ ];
+            function acquired(err, res) {
+                resources.push(res);
+                if (resources.length < 3) { return; }
+
+                pool.release(resources[0]);
+                setTimeout(function () {
+                    pool.release(resources[2]);
+                    pool.release(resources[1]);
+                    pool.resize({ max: 2 });
+                    pool.available.has(resources[0]).should.equal(false);
+                    pool.stats().allocated.should.equal(2);
+                    done();
+                }, 5);
+            }
+            pool.acquire(acquired);
+            pool.acquire(acquired);
+            pool.acquire(acquired);
+        });
+    });
+    describe('ready', function () {
+        it('should be ready straight away with min 0', function (done) {
+            pool = new Pool({ acquire: seqAcquire, dispose: disposeStub });
+            pool.ready(function (err) {
+                (err === null).should.be.ok;
+                pool.isReady.should.equal(true);
+                done();
+            });
+        });
+        it('should wait for min resources, then emit ready', function (done) {
+            var emitted = false;
+            pool = new Pool({
+                acquire: function (cb) { setTimeout(seqAcquire.bind(null, cb), 10); },
+                dispose: disposeStub,
+                min: 3
+            });
+            pool.on('ready', function () { emitted = true; });
+            pool.ready(function (err) {
+                (err === null).should.be.ok;
+                pool.stats().allocated.should.not.be.below(3);
+                process.nextTick(function () {
+                    emitted.should.equal(true);
+                    done();
+                });
+            });
+        });
+        it('should call back straight away once already ready', function (done) {
+            pool = new Pool({ acquire: seqAcquire, dispose: disposeStub, min: 1 });
+            pool.once('ready', function () {
+                var sync = true;
+                pool.ready(function (err) {
+                    (err === null).should.be.ok;
+                    sync.should.equal(false);
+                    done();
+                });
+                sync = false;
+            });
+        });
+        it('should return a promise', function () {
+            pool = new Pool({ acquire: seqAcquire, dispose: disposeStub, min: 1 });
+            return pool.ready();
+        });
+        it('should fail with the bailAfter error', function (done) {
+            pool = new Pool({
+                acquire: function (cb) { cb(new Error('fail')); },
+                dispose: disposeStub,
+                bailAfter: 50,
+                min: 1
+            });
+            var emitted;
+            pool.on('error', function (err) { emitted = err; });
+            pool.ready(function (err) {
+                err.message.should.equal('fail');
+                pool.isReady.should.equal(false);
+                pool.ready(function (err2) {
+                    err2.should.equal(err);
+                    emitted.should.equal(err);
+                    done();
+                });
+            });
+        });
+        it('should fail if the pool is destroyed before it is ready', function (done) {
+            pool = new Pool({
+                acquire: function () { },
+                dispose: disposeStub,
+                min: 1
+            });
+            pool.ready(function (err) {
+                err.message.should.match(/destroyed/);
+                done();
+            });
+            pool._destroyPool();
+        });
+    });
+
+    it('should keep the place of a request requeued after a failed ping', function (done) {
+        var pings = 0, order = [ ];
+        pool = new Pool({
+            acquire: seqAcquire,
+            dispose: disposeStub,
+            ping: function (res, cb) {
+                // fail the first ping, after the other requests have been queued
+                if (pings++ === 0) { setTimeout(cb.bind(null, new Error('foo')), 10); }
+                else { cb(); }
+            },
+            max: 1
+        });
+        pool.on('warn', noop);
+        function record(name) {
+            return function (err, res) {
+                order.push(name);
+                if (order.length === 3) {
+                    order.should.eql(['first', 'second', 'third']);
+                    done();
+                } else {
+                    pool.release(res);
+                }
+            };
+        }
+        pool.acquire(record('first'));
+        pool.acquire(record('second'));
+        pool.acquire(record('third'));
+    });
+
+    it('should acquire a new resource if ping fails', function (done) {
+        var pings = 0, num;
+        pool = new Pool({
+            acquire: seqAcquire,
+            dispose: disposeStub,
+            ping: function (res, cb) {
+                pings++;
+                if (pings === 3) { cb(new Error('foo')); }
+                else { cb(); }
+            },
+            min: 1,
+            max: 1
+        });
+        pool.acquire(function (err, res) {
+            num = res;
+            pool.release(res);
+        });
+        pool.acquire(function (err, res) {
+            num.should.equal(res);
+            pool.release(res);
+        });
+        pool.acquire(function (err, res) {
+            num.should.not.equal(res);
+            pool.release(res);
+            done();
+        });
+    });
+
+    it('should fail acquire when pool is full', function (done) {
+        pool = new Pool({
+            acquire: seqAcquire,
+            dispose: disposeStub,
+            min: 1,
+            max: 1,
+            maxRequests: 1
+        });
+        pool.acquire(function (err, res) {
+            pool.acquire(function (err, res2) {
+                pool.release(res2);
+            });
+            pool.acquire(function (err) {
+                err.message.should.match(/Pool is full/);
+                pool.release(res);
+                done();
+            });
+        });
+    });
+
+    it('should end gracefully (no resources)', function (done) {
+        pool = new Pool({
+            acquire: seqAcquire,
+            dispose: disposeStub
+        });
+
+        pool.end(done);
+    });
+
+    it('should end gracefully (idle resources)', function (done) {
+        pool = new Pool({
+            acquire: seqAcquire,
+            dispose: function (res, cb) { cb(); },
+            min: 1
+        });
+        setTimeout(function () {
+            pool.end(done);
+        }, 100);
+    });
+
+    it('should end gracefully (allocated resources)', function (done) {
+        pool = new Pool({
+            acquire: seqAcquire,
+            dispose: function (res, cb) { cb(); },
+            min: 1
+        });
+
+        pool.acquire(function (err, res) {
+            setTimeout(function () {
+                pool.release(res);
+            }, 100);
+        });
+        pool.end(done);
+    });
+
+    it('should call back with a report of what was cut short when ending', function (done) {
+        pool = new Pool({
+            acquire: seqAcquire,
+            dispose: disposeStub
+        });
+        pool.end(function (err, report) {
+            (err === null).should.be.ok;
+            report.should.eql({ timedOut: false, rejected: 0, destroyed: [ ] });
+            done();
+        });
+    });
+
+    it('should call back with an error when the end timeout is invalid', function (done) {
+        pool = new Pool({
+            acquire: seqAcquire,
+            dispose: disposeStub
+        });
+        pool.end({ timeout: -1 }, function (err) {
+            err.message.should.match(/timeout must be a positive integer/);
+            pool.ending.should.equal(false);
+            done();
+        });
+    });
+
+    it('should reject pending requests right away when ending with rejectPending', function (done) {
+        var rejected = 0;
+        pool = new Pool({
+            acquire: seqAcquire,
+            dispose: disposeStub,
+            max: 1
+        });
+        pool.acquire(function (err, res) {
+            pool.acquire(function (err) {
+                err.message.should.equal('Pool is ending');
+                rejected++;
+            });
+            pool.end({ rejectPending: true }, function (err, report) {
+                rejected.should.equal(1);
+                report.rejected.should.equal(1);
+                report.timedOut.should.equal(false);
+                done(err);
+            });
+            // the request is already gone, but the checked out resource is waited for
+            rejected.should.equal(1);
+            pool.stats().queued.should.equal(0);
+            setTimeout(pool.release.bind(pool, res), 20);
+        });
+    });
+
+    it('should force-destroy checked out resources when the end timeout passes', function (done) {
+        var destroyed = [ ], rejected = 0;
+        pool = new Pool({
+            acquire: seqAcquire,
+            dispose: disposeStub,
+            destroy: function (res) { destroyed.push(res); },
+            max: 1
+        });
+        pool.acquire(function (err, res) {
+            pool.acquire(function (err) {
+                err.message.should.equal('Pool is ending');
+                rejected++;
+            });
+            pool.end({ timeout: 20 }, function (err, report) {
+                report.should.eql({ timedOut: true, rejected: 1, destroyed: [ res ] });
+                destroyed.should.eql([ res ]);
+                rejected.should.equal(1);
+                pool.stats().allocated.should.equal(0);
+
+                // releasing it afterwards is an error, but a harmless one
+                pool.release(res, function (err) {
+                    err.message.should.match(/not member of pool/);
+                    done();
+                });
+            });
+        });
+    });
+
+    it('should not time out when ending finishes before the timeout', function (done) {
+        var destroyed = 0;
+        pool = new Pool({
+            acquire: seqAcquire,
+            dispose: disposeStub,
+            destroy: function () { destroyed++; }
+        });
+        pool.acquire(function (err, res) {
+            pool.end({ timeout: 50 }).then(function (report) {
+                report.timedOut.should.equal(false);
+                setTimeout(function () {
+                    destroyed.should.equal(0);
+                    done();
+                }, 60);
+            }).catch(done);
+            setTimeout(pool.release.bind(pool, res), 10);
+        });
+    });
+
+    it('should end gracefully (resources in allocation)', function (done) {
+        pool = new Pool({
+            acquire: function (cb) { setTimeout(cb.bind(null, null, { }), 100); },
+            dispose: disposeStub
+        });
+
+        pool.acquire(function (err, res) {
+            pool.release(res);
+        });
+
+        setTimeout(pool.end.bind(pool, done), 50);
+    });
+
+    it('should end gracefully (min-fill with no pending requests)', function (done) {
+        pool = new Pool({
+            acquire: function (cb) { setTimeout(cb.bind(null, null, { }), 100); },
+            dispose: disposeStub,
+            min: 1
+        });
+
+        setTimeout(pool.end.bind(pool, done), 50);
+    });
+
+    it('should end gracefully (min-fill with no pending requests, min > 1)', function (done) {
+        var dly = 66, num = 0;
+        pool = new Pool({
+            acquire: function (cb) {
+                num++;
+                setTimeout(cb.bind(null, null, { }), dly);
+                dly += 33;
+            },
+            dispose: function (res, cb) {
+                num--;
+                cb();
+            },
+            min: 2
+        });
+
         setTimeout(function () {
             pool.end(function () {
                 num.should.equal(0);
@@ -792,6 +2407,20 @@ describe('Pool', function () {
         }, 50);
     });
 
+    it('should hand out resources acquired with acquireTimeout = 0', function (done) {
+        pool = new Pool({
+            acquire: seqAcquire,
+            dispose: disposeStub,
+            acquireTimeout: 0
+        });
+        pool.acquire(function (err, res) {
+            if (err) { return done(err); }
+            pool.pool.has(res).should.equal(true);
+            pool.release(res);
+            done();
+        });
+    });
+
     it('should reject pending resource requests when the pool is destroyed', function (done) {
         pool = new Pool({
             acquire: function () { },
@@ -857,6 +2486,509 @@ describe('Pool', function () {
         });
     });
 
+    it('should return a promise from acquire when no callback is given', function (done) {
+        pool = new Pool({
+            acquire: seqAcquire,
+            dispose: disposeStub
+        });
+        pool.acquire().then(function (res) {
+            res.should.have.property('seq');
+            return pool.release(res);
+        }).then(function () {
+            pool.stats().allocated.should.equal(1);
+            done();
+        }).catch(done);
+    });
+
+    it('should reject the acquire promise with the error given to callbacks', function (done) {
+        pool = new Pool({
+            acquire: seqAcquire,
+            dispose: disposeStub
+        });
+        pool._destroyPool();
+        pool.acquire().then(function () {
+            done(new Error('should not resolve'));
+        }, function (err) {
+            err.message.should.match(/destroyed/);
+            done();
+        });
+    });
+
+    it('should return a promise from remove when no callback is given', function (done) {
+        var disposed = false;
+        pool = new Pool({
+            acquire: seqAcquire,
+            dispose: function (res, cb) { disposed = true; cb(); }
+        });
+        pool.acquire().then(function (res) {
+            return pool.remove(res);
+        }).then(function () {
+            disposed.should.equal(true);
+            done();
+        }).catch(done);
+    });
+
+    it('should reject the remove promise if dispose fails', function (done) {
+        pool = new Pool({
+            acquire: seqAcquire,
+            dispose: function (res, cb) { cb(new Error('foo')); }
+        });
+        pool.on('warn', noop);
+        pool.acquire().then(function (res) {
+            return pool.remove(res);
+        }).then(function () {
+            done(new Error('should not resolve'));
+        }, function (err) {
+            err.should.match(/foo/);
+            done();
+        });
+    });
+
+    it('should return a promise from end when no callback is given', function (done) {
+        pool = new Pool({
+            acquire: seqAcquire,
+            dispose: disposeStub,
+            min: 1
+        });
+        setTimeout(function () {
+            pool.end().then(function () {
+                pool.stats().allocated.should.equal(0);
+                done();
+            }).catch(done);
+        }, 50);
+    });
+
+    it('should not cause unhandled rejections when fire-and-forget calls fail', function (done) {
+        var unhandled = false, onUnhandled = function () { unhandled = true; };
+        process.on('unhandledRejection', onUnhandled);
+
+        pool = new Pool({
+            acquire: seqAcquire,
+            dispose: function (res, cb) { cb(new Error('foo')); }
+        });
+        pool.on('warn', noop);
+        pool.acquire(function (err, res) {
+            pool.remove(res);
+            setTimeout(function () {
+                process.removeListener('unhandledRejection', onUnhandled);
+                unhandled.should.equal(false);
+                done();
+            }, 50);
+        });
+    });
+
+    it('should use Pool.Promise to construct promises', function () {
+        var P = Pool.Promise, constructed = 0;
+        function CountingPromise(fn) { constructed++; return new P(fn); }
+        Pool.Promise = CountingPromise;
+        try {
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: disposeStub
+            });
+            var promise = pool.acquire();
+            promise.should.be.an.instanceOf(P);
+            constructed.should.equal(1);
+            // the pool is destroyed before the request is served
+            promise.catch(noop);
+        } finally {
+            Pool.Promise = P;
+        }
+    });
+
+    it('should release the resource after use() calls back', function (done) {
+        pool = new Pool({
+            acquire: seqAcquire,
+            dispose: disposeStub
+        });
+        pool.use(function (res, cb) {
+            pool.stats().available.should.equal(9);
+            cb(null, res.seq);
+        }, function (err, seq) {
+            (err === null).should.be.ok;
+            seq.should.be.a.Number;
+            pool.stats().available.should.equal(10);
+            pool.stats().allocated.should.equal(1);
+            done();
+        });
+    });
+
+    it('should release the resource after the promise returned to use() resolves', function (done) {
+        pool = new Pool({
+            acquire: seqAcquire,
+            dispose: disposeStub
+        });
+        pool.use(function (res) {
+            return Pool.Promise.resolve('foo');
+        }).then(function (val) {
+            val.should.equal('foo');
+            pool.stats().available.should.equal(10);
+            done();
+        }).catch(done);
+    });
+
+    it('should release the resource when use() fails with an unmatched error', function (done) {
+        pool = new Pool({
+            acquire: seqAcquire,
+            dispose: disposeStub,
+            removeOn: TypeError
+        });
+        pool.use(function (res) {
+            throw new Error('foo');
+        }, function (err) {
+            err.message.should.match(/foo/);
+            pool.stats().allocated.should.equal(1);
+            pool.stats().available.should.equal(10);
+            done();
+        });
+    });
+
+    it('should remove the resource when use() fails with a removeOn error', function (done) {
+        var disposed = false;
+        pool = new Pool({
+            acquire: seqAcquire,
+            dispose: function (res, cb) { disposed = true; cb(); },
+            removeOn: TypeError
+        });
+        pool.use(function (res, cb) {
+            cb(new TypeError('foo'));
+        }, function (err) {
+            err.should.be.an.instanceOf(TypeError);
+            disposed.should.equal(true);
+            pool.stats().allocated.should.equal(0);
+            done();
+        });
+    });
+
+    it('should destroy the resource when use() fails with a destroyOn error', function (done) {
+        var destroyed = false;
+        pool = new Pool({
+            acquire: seqAcquire,
+            dispose: disposeStub,
+            destroy: function () { destroyed = true; },
+            destroyOn: function (err) { return err.fatal === true; }
+        });
+        pool.use(function (res) {
+            var err = new Error('foo');
+            err.fatal = true;
+            return Pool.Promise.reject(err);
+        }).then(null, function (err) {
+            err.message.should.match(/foo/);
+            destroyed.should.equal(true);
+            pool.stats().allocated.should.equal(0);
+            done();
+        }).catch(done);
+    });
+
+    it('should call back with acquire errors from use()', function (done) {
+        pool = new Pool({
+            acquire: seqAcquire,
+            dispose: disposeStub
+        });
+        pool._destroyPool();
+        pool.use(function () {
+            done(new Error('should not be called'));
+        }, function (err) {
+            err.message.should.match(/destroyed/);
+            done();
+        });
+    });
+
+    it('should emit a \'leak\' event for resources checked out longer than leakDetectionThreshold', function (done) {
+        pool = new Pool({
+            acquire: seqAcquire,
+            dispose: disposeStub,
+            leakDetectionThreshold: 20
+        });
+        var resource;
+        pool.once('leak', function (info) {
+            info.resource.should.equal(resource);
+            info.checkedOutAt.should.be.an.instanceOf(Date);
+            info.heldFor.should.be.above(19);
+            info.stack.should.match(/pool\.test\.js/);
+            // the resource is not reclaimed by default
+            pool.stats().allocated.should.equal(1);
+            pool.release(resource);
+            done();
+        });
+        pool.acquire(function (err, res) {
+            resource = res;
+        });
+    });
+
+    it('should not report resources released within leakDetectionThreshold', function (done) {
+        pool = new Pool({
+            acquire: seqAcquire,
+            dispose: disposeStub,
+            leakDetectionThreshold: 20
+        });
+        pool.on('leak', function () {
+            done(new Error('should not report a leak'));
+        });
+        pool.acquire(function (err, res) {
+            setTimeout(pool.release.bind(pool, res), 5);
+            setTimeout(done, 50);
+        });
+    });
+
+    it('should report each leaked checkout only once', function (done) {
+        var leaks = 0;
+        pool = new Pool({
+            acquire: seqAcquire,
+            dispose: disposeStub,
+            leakDetectionThreshold: 10
+        });
+        pool.on('leak', function () { leaks++; });
+        pool.acquire(function (err, res) {
+            setTimeout(function () {
+                leaks.should.equal(1);
+                done();
+            }, 50);
+        });
+    });
+
+    it('should destroy leaked resources when reclaimLeaks is set', function (done) {
+        var destroyed = null;
+        pool = new Pool({
+            acquire: seqAcquire,
+            dispose: disposeStub,
+            destroy: function (res) { destroyed = res; },
+            leakDetectionThreshold: 10,
+            reclaimLeaks: true
+        });
+        pool.once('leak', function (info) {
+            setImmediate(function () {
+                destroyed.should.equal(info.resource);
+                pool.stats().allocated.should.equal(0);
+                done();
+            });
+        });
+        pool.acquire(noop);
+    });
+
+    describe('leases', function () {
+        it('should hand out leases on resources', function (done) {
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: disposeStub,
+                leases: true
+            });
+            pool.acquire(function (err, lease) {
+                lease.resource.should.have.property('seq');
+                lease.release(function (err) {
+                    (err === null).should.be.ok;
+                    pool.stats().available.should.equal(10);
+                    done();
+                });
+            });
+        });
+        it('should give events the resource, not the pool\'s slot for it', function (done) {
+            var events = [ ];
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: disposeStub,
+                ping: function (res, cb) { cb(); },
+                leases: true
+            });
+            [ 'acquireSuccess', 'pingSuccess', 'release' ].forEach(function (event) {
+                pool.on(event, function (res) { events.push([ event, res ]); });
+            });
+            pool.acquire(function (err, lease) {
+                lease.release();
+                events.forEach(function (e) {
+                    e[1].should.have.property('seq');
+                    e[1].should.not.have.property('resource');
+                });
+                events.map(function (e) { return e[0]; }).should.eql([ 'acquireSuccess', 'pingSuccess', 'release' ]);
+                done();
+            });
+        });
+        it('should tell apart resources that are equal', function (done) {
+            pool = new Pool({
+                acquire: function (cb) { cb(null, 42); },
+                dispose: disposeStub,
+                leases: true
+            });
+            pool.acquire(function (err, lease1) {
+                pool.acquire(function (err, lease2) {
+                    lease1.resource.should.equal(lease2.resource);
+                    pool.stats().allocated.should.equal(2);
+
+                    lease1.release();
+                    lease2.release();
+                    pool.stats().available.should.equal(10);
+                    done();
+                });
+            });
+        });
+        it('should detect releasing the same lease twice, even after the resource was leased again', function (done) {
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: disposeStub,
+                leases: true
+            });
+            pool.acquire(function (err, lease1) {
+                lease1.release();
+                pool.acquire(function (err, lease2) {
+                    lease2.resource.should.equal(lease1.resource);
+
+                    lease1.release(function (err) {
+                        err.message.should.match(/Lease already returned/);
+                        err.res.should.equal(lease1.resource);
+                        // the second lease is still checked out
+                        pool.stats().available.should.equal(9);
+                        lease2.release();
+                        done();
+                    });
+                });
+            });
+        });
+        it('should pass resources, not slots, to ping, dispose and destroy', function (done) {
+            var pinged = [ ], disposed = [ ], destroyed = [ ];
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: function (res, cb) { disposed.push(res); cb(); },
+                destroy: function (res) { destroyed.push(res); },
+                ping: function (res, cb) { pinged.push(res); cb(); },
+                leases: true
+            });
+            pool.acquire(function (err, lease1) {
+                pool.acquire(function (err, lease2) {
+                    lease1.remove(function () {
+                        lease2.destroy();
+                        pinged.should.eql([ lease1.resource, lease2.resource ]);
+                        disposed.should.eql([ lease1.resource ]);
+                        destroyed.should.eql([ lease2.resource ]);
+                        pool.stats().allocated.should.equal(0);
+                        done();
+                    });
+                });
+            });
+        });
+        it('should emit an error when destroying or removing a returned lease', function (done) {
+            var errors = 0;
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: disposeStub,
+                leases: true
+            });
+            pool.on('error', function (err) {
+                err.message.should.match(/Lease already returned/);
+                errors++;
+            });
+            pool.acquire(function (err, lease) {
+                lease.release();
+                lease.destroy();
+                lease.remove(function (err) {
+                    err.message.should.match(/^Pool.remove\(\): Lease already returned/);
+                    errors.should.equal(2);
+                    pool.stats().allocated.should.equal(1);
+                    done();
+                });
+            });
+        });
+        it('should give back leases borrowed with use()', function (done) {
+            pool = new Pool({
+                acquire: seqAcquire,
+                dispose: disposeStub,
+                leases: true
+            });
+            pool.use(function (lease) {
+                lease.resource.should.have.property('seq');
+            }, function (err) {
+                pool.stats().available.should.equal(10);
+                done(err);
+            });
+        });
+    });
+
+    it('should record metrics for acquiring, pinging and handing out resources', function (done) {
+        pool = new Pool({
+            acquire: seqAcquire,
+            dispose: disposeStub,
+            ping: function (res, cb) { cb(); }
+        });
+        pool.acquire(function (err, res) {
+            pool.release(res);
+            pool.acquire(function (err, res) {
+                var metrics = pool.metrics();
+                metrics.acquireLatency.count.should.equal(1);
+                metrics.pingLatency.count.should.equal(2);
+                metrics.queueWait.count.should.equal(2);
+                metrics.acquireFailures.should.equal(0);
+                metrics.allocated.should.equal(1);
+                metrics.available.should.equal(9);
+                metrics.queued.should.equal(0);
+                pool.release(res);
+                done();
+            });
+        });
+    });
+
+    it('should record metrics for failures, timeouts and requeues', function (done) {
+        var pings = 0;
+        pool = new Pool({
+            acquire: function (cb) {
+                // the first acquisition succeeds, to set the pool live; the second never calls back
+                if (pings === 0) { seqAcquire(cb); }
+            },
+            dispose: disposeStub,
+            ping: function (res, cb) {
+                if (pings++ === 0) { cb(new Error('foo')); }
+            },
+            acquireTimeout: 10,
+            pingTimeout: 10,
+            requestTimeout: 50
+        });
+        pool.on('warn', noop);
+        pool.on('error', noop);
+        pool.acquire(function (err) {
+            err.message.should.match(/timed out/);
+            var metrics = pool.metrics();
+            metrics.requeues.should.equal(1);
+            metrics.disposals.should.equal(1);
+            metrics.acquireTimeouts.should.be.above(0);
+            metrics.acquireFailures.should.be.above(0);
+            metrics.requestTimeouts.should.equal(1);
+            done();
+        });
+    });
+
+    it('should count ping timeouts and destroyed resources', function (done) {
+        pool = new Pool({
+            acquire: seqAcquire,
+            dispose: function () { },
+            disposeTimeout: 10,
+            ping: function () { },
+            pingTimeout: 10,
+            requestTimeout: 30
+        });
+        pool.acquire(function (err) {
+            setTimeout(function () {
+                var metrics = pool.metrics();
+                metrics.pingTimeouts.should.be.above(0);
+                metrics.disposeTimeouts.should.be.above(0);
+                metrics.destroys.should.equal(metrics.disposeTimeouts);
+                done();
+            }, 20);
+        });
+    });
+
+    it('should serialize metrics in the Prometheus format, labelled with the pool name', function (done) {
+        pool = new Pool({
+            acquire: seqAcquire,
+            dispose: disposeStub,
+            name: 'primary'
+        });
+        pool.acquire(function (err, res) {
+            pool.destroy(res);
+            var text = pool.toPrometheus();
+            text.should.match(/^pool2_destroys_total\{pool="primary"\} 1$/m);
+            text.should.match(/^pool2_queue_wait_seconds_count\{pool="primary"\} 1$/m);
+            done();
+        });
+    });
+
     it('should emit warnings for resource request errors', function (done) {
         pool = new Pool({
             acquire: noop,
@@ -0,0 +1,104 @@
+'use strict';
+
+require('should');
+
+var RequestQueue = require('../lib/request-queue');
+
+describe('RequestQueue', function () {
+    function req(id, priority, count) { return { id: id, priority: priority || 0, count: count || 1 }; }
+    function drain(queue) {
+        var ids = [ ], r;
+        while (( r = queue.shift() )) { ids.push(r.id); }
+        return ids;
+    }
+
+    it('should be first in, first out within a priority level', function () {
+        var queue = new RequestQueue();
+        queue.push(req(1));
+        queue.push(req(2));
+        queue.push(req(3));
+        queue.length.should.equal(3);
+        drain(queue).should.eql([1, 2, 3]);
+        queue.length.should.equal(0);
+    });
+    it('should serve higher priorities first', function () {
+        var queue = new RequestQueue();
+        queue.push(req(1, 0));
+        queue.push(req(2, 5));
+        queue.push(req(3, -1));
+        queue.push(req(4, 5));
+        queue.push(req(5, 1));
+        drain(queue).should.eql([2, 4, 5, 1, 3]);
+    });
+    it('should put unshifted requests at the front of their priority level', function () {
+        var queue = new RequestQueue();
+        queue.push(req(1, 1));
+        queue.push(req(2, 0));
+        queue.push(req(3, 0));
+        queue.unshift(req(4, 0));
+        drain(queue).should.eql([1, 4, 2, 3]);
+    });
+    it('should peek at the next request without removing it', function () {
+        var queue = new RequestQueue();
+        (queue.peekFront() === void 0).should.be.ok;
+        queue.push(req(1, 0));
+        queue.push(req(2, 3));
+        queue.peekFront().id.should.equal(2);
+        queue.length.should.equal(2);
+    });
+    it('should return undefined when shifting an empty queue', function () {
+        var queue = new RequestQueue();
+        (queue.shift() === void 0).should.be.ok;
+        queue.length.should.equal(0);
+    });
+    it('should count requests per priority level', function () {
+        var queue = new RequestQueue();
+        queue.counts().should.eql({ });
+        queue.push(req(1, 0));
+        queue.push(req(2, 2));
+        queue.push(req(3, 2));
+        queue.counts().should.eql({ 0: 1, 2: 2 });
+        queue.shift();
+        queue.shift();
+        queue.counts().should.eql({ 0: 1 });
+    });
+    it('should remove requests from anywhere in the queue', function () {
+        var queue = new RequestQueue(),
+            a = req(1, 0), b = req(2, 0), c = req(3, 5);
+        queue.push(a);
+        queue.push(b);
+        queue.push(c);
+
+        queue.remove(b).should.equal(true);
+        queue.remove(b).should.equal(false);
+        queue.remove(req(4, 7)).should.equal(false);
+        queue.length.should.equal(2);
+
+        queue.remove(c).should.equal(true);
+        queue.counts().should.eql({ 0: 1 });
+        queue.shift().should.equal(a);
+        queue.length.should.equal(0);
+    });
+    it('should check whether a request is queued', function () {
+        var queue = new RequestQueue(),
+            a = req(1, 0), b = req(2, 3);
+        queue.push(a);
+        queue.has(a).should.equal(true);
+        queue.has(b).should.equal(false);
+        queue.shift();
+        queue.has(a).should.equal(false);
+    });
+    it('should count the resources the queued requests ask for', function () {
+        var queue = new RequestQueue(),
+            a = req(1, 0, 3), b = req(2, 0), c = req(3, 2, 2);
+        queue.push(a);
+        queue.push(b);
+        queue.unshift(c);
+        queue.resources.should.equal(6);
+
+        queue.remove(a);
+        queue.resources.should.equal(3);
+        queue.shift();
+        queue.resources.should.equal(1);
+    });
+});
@@ -0,0 +1,88 @@
+'use strict';
+
+require('should');
+
+var selectionOrders = require('../lib/selection-orders'),
+    LinkedSet = require('../lib/linked-set');
+
+describe('selection orders', function () {
+    var order, available;
+    function setup(name, resources) {
+        order = selectionOrders[name]();
+        available = new LinkedSet();
+        resources.forEach(function (res) { order.add(available, res); });
+    }
+    function take() {
+        var res = available.shift();
+        order.taken(res);
+        return res;
+    }
+    function release(res) {
+        order.add(available, res);
+    }
+
+    it('lifo should hand out the most recently released resource first', function () {
+        setup('lifo', [1, 2, 3]);
+        take().should.equal(3);
+        take().should.equal(2);
+        release(3);
+        release(2);
+        available.toArray().should.eql([2, 3, 1]);
+    });
+    it('fifo should hand out the longest idle resource first', function () {
+        setup('fifo', [1, 2, 3]);
+        take().should.equal(1);
+        take().should.equal(2);
+        release(2);
+        release(1);
+        available.toArray().should.eql([3, 2, 1]);
+    });
+    it('lifo and fifo should restore a resource where it was, by when it became idle', function () {
+        // resource n became idle at time n
+        function since(res) { return res; }
+
+        setup('lifo', [1, 2, 3, 4]);
+        available.remove(2);
+        order.restore(available, 2, since);
+        available.toArray().should.eql([4, 3, 2, 1]);
+
+        setup('fifo', [1, 2, 3, 4]);
+        available.remove(3);
+        order.restore(available, 3, since);
+        available.toArray().should.eql([1, 2, 3, 4]);
+    });
+    it('round-robin should hand out resources in turn, skipping those checked out', function () {
+        setup('round-robin', [1, 2, 3, 4]);
+        take().should.equal(1);
+        take().should.equal(2);
+        release(1);
+        take().should.equal(3);
+        release(2);
+        available.toArray().should.eql([4, 1, 2]);
+
+        // 3 is still checked out when its turn comes around again
+        take().should.equal(4);
+        take().should.equal(1);
+        release(4);
+        take().should.equal(2);
+        take().should.equal(4);
+    });
+    it('round-robin should forget resources that leave the pool', function () {
+        setup('round-robin', [1, 2]);
+        take().should.equal(1);
+        order.forget(1);
+        release(3);
+        available.toArray().should.eql([2, 3]);
+    });
+    it('lru should hand out the least recently handed out resource first', function () {
+        setup('lru', [1, 2, 3]);
+        take().should.equal(1);
+        take().should.equal(2);
+        release(2);
+        release(1);
+        available.toArray().should.eql([3, 1, 2]);
+
+        release(4);
+        available.toArray().should.eql([3, 4, 1, 2]);
+    });
+});
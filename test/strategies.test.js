@@ -0,0 +1,69 @@
+'use strict';
+
+require('should');
+
+var strategies = require('../lib/strategies');
+
+describe('strategies', function () {
+    function candidate(name, stats, weight) {
+        var s = { max: 10, available: 10, queued: 0 };
+        Object.keys(stats || { }).forEach(function (k) { s[k] = stats[k]; });
+        return { pool: { name: name, weight: weight || 1 }, stats: s };
+    }
+    function pick(select, candidates, n) {
+        var picks = [ ];
+        while (n--) { picks.push(select(candidates).name); }
+        return picks;
+    }
+
+    it('most-available should pick the pool with the most available resources less queued requests', function () {
+        var select = strategies['most-available']();
+        select([
+            candidate('a', { available: 3, queued: 2 }),
+            candidate('b', { available: 4, queued: 0 }),
+            candidate('c', { available: 4, queued: 0 })
+        ]).name.should.equal('b');
+    });
+    it('round-robin should cycle through the pools', function () {
+        var select = strategies['round-robin'](),
+            candidates = [ candidate('a'), candidate('b'), candidate('c') ];
+        pick(select, candidates, 5).should.eql(['a', 'b', 'c', 'a', 'b']);
+    });
+    it('weighted-round-robin should pick pools in proportion to their weight, spread out', function () {
+        var select = strategies['weighted-round-robin'](),
+            candidates = [ candidate('a', null, 5), candidate('b', null, 1), candidate('c', null, 1) ];
+        pick(select, candidates, 7).should.eql(['a', 'a', 'b', 'a', 'c', 'a', 'a']);
+    });
+    it('least-outstanding should pick the pool with the fewest checked out resources and queued requests', function () {
+        var select = strategies['least-outstanding']();
+        select([
+            candidate('a', { available: 8, queued: 0 }),
+            candidate('b', { available: 9, queued: 0 }),
+            candidate('c', { available: 0, queued: 3 })
+        ]).name.should.equal('b');
+    });
+    it('least-outstanding should break ties at random', function () {
+        var select = strategies['least-outstanding'](),
+            candidates = [ candidate('a'), candidate('b') ],
+            picks = pick(select, candidates, 100);
+        picks.should.containEql('a');
+        picks.should.containEql('b');
+    });
+    it('random should pick any of the pools', function () {
+        var select = strategies.random(),
+            picks = pick(select, [ candidate('a'), candidate('b'), candidate('c') ], 100);
+        picks.should.containEql('a');
+        picks.should.containEql('b');
+        picks.should.containEql('c');
+    });
+    it('power-of-two-choices should never pick the busiest of two pools', function () {
+        var select = strategies['power-of-two-choices'](),
+            candidates = [ candidate('a', { available: 0 }), candidate('b', { available: 10 }) ];
+        pick(select, candidates, 20).forEach(function (name) {
+            name.should.equal('b');
+        });
+    });
+    it('power-of-two-choices should handle a single pool', function () {
+        strategies['power-of-two-choices']()([ candidate('a') ]).name.should.equal('a');
+    });
+});